@@ -0,0 +1,4 @@
+-- Migration: 007_api_keys_vars_mode
+-- Per-key VAR validation: 'strict' keys reject invalid VAR entries instead of
+-- normalizing them to 0
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS vars_mode VARCHAR(16) NOT NULL DEFAULT 'lenient';
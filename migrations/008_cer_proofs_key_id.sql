@@ -0,0 +1,4 @@
+-- Migration: 008_cer_proofs_key_id
+-- Signing key of the attestation a proof records (see
+-- /.well-known/nexart-keys.json); NULL for proofs issued before signing
+ALTER TABLE cer_proofs ADD COLUMN IF NOT EXISTS key_id TEXT NULL;
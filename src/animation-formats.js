@@ -0,0 +1,90 @@
+// Loop-mode output encodings selectable via `execution.format`. Each entry
+// fixes the ffmpeg encoder arguments applied after the raw RGBA stdin input,
+// so a given format always produces byte-identical output on a pinned ffmpeg.
+// `lossless` formats reproduce every frame's pixels exactly (alpha excluded
+// for x264-lossless, which stores RGB only).
+export const ANIMATION_FORMATS = Object.freeze({
+  mp4: Object.freeze({
+    mime: "video/mp4",
+    extension: "mp4",
+    lossless: false,
+    ffmpegArgs: Object.freeze([
+      "-c:v", "libx264",
+      "-preset", "medium",
+      "-crf", "18",
+      "-pix_fmt", "yuv420p",
+      "-movflags", "+faststart",
+    ]),
+  }),
+  webp: Object.freeze({
+    mime: "image/webp",
+    extension: "webp",
+    lossless: false,
+    ffmpegArgs: Object.freeze([
+      "-c:v", "libwebp",
+      "-lossless", "0",
+      "-quality", "90",
+      "-compression_level", "4",
+      "-pix_fmt", "yuva420p",
+      "-loop", "0",
+    ]),
+  }),
+  gif: Object.freeze({
+    mime: "image/gif",
+    extension: "gif",
+    lossless: false,
+    // Per-frame palettes keep memory flat: a global palette would require
+    // buffering every frame before the first one could be written.
+    ffmpegArgs: Object.freeze([
+      "-filter_complex", "[0:v]split[a][b];[a]palettegen=stats_mode=single:reserve_transparent=1[p];[b][p]paletteuse=new=1:dither=bayer:bayer_scale=3",
+      "-loop", "0",
+    ]),
+  }),
+  apng: Object.freeze({
+    mime: "image/apng",
+    extension: "apng",
+    lossless: true,
+    ffmpegArgs: Object.freeze([
+      "-c:v", "apng",
+      "-pred", "mixed",
+      "-pix_fmt", "rgba",
+      "-plays", "0",
+      "-f", "apng",
+    ]),
+  }),
+  ffv1: Object.freeze({
+    mime: "video/x-matroska",
+    extension: "mkv",
+    lossless: true,
+    ffmpegArgs: Object.freeze([
+      "-c:v", "ffv1",
+      "-level", "3",
+      "-g", "1",
+      "-slicecrc", "1",
+      "-pix_fmt", "bgra",
+      "-fflags", "+bitexact",
+    ]),
+  }),
+  "x264-lossless": Object.freeze({
+    mime: "video/x-matroska",
+    extension: "mkv",
+    lossless: true,
+    ffmpegArgs: Object.freeze([
+      "-c:v", "libx264rgb",
+      "-preset", "veryslow",
+      "-qp", "0",
+      "-pix_fmt", "rgb24",
+      "-fflags", "+bitexact",
+    ]),
+  }),
+});
+
+export const DEFAULT_ANIMATION_FORMAT = "mp4";
+
+export function resolveAnimationFormat(format) {
+  const id = format ?? DEFAULT_ANIMATION_FORMAT;
+  if (typeof id !== "string" || !Object.hasOwn(ANIMATION_FORMATS, id)) {
+    throw new Error(`LOOP_MODE_ERROR: Unsupported animation format: ${id}. Supported: ${Object.keys(ANIMATION_FORMATS).join(", ")}`);
+  }
+  return { id, ...ANIMATION_FORMATS[id] };
+}
@@ -0,0 +1,90 @@
+import crypto from "crypto";
+
+// Image assets travel inside the snapshot as { "sha256:<hex>": base64 }. Keys
+// are the SHA-256 of the decoded bytes, so the snapshot (and the input hash
+// that covers the keys) pins exactly which pixels a sketch could load.
+// Only PNG is accepted: PNG decoding is lossless and exact, whereas JPEG
+// decoders are not bit-identical across libjpeg builds.
+export const ASSET_LIMITS = Object.freeze({
+  maxAssets: 16,
+  maxAssetBytes: 8 * 1024 * 1024,
+  maxWidth: 1950,
+  maxHeight: 2400,
+});
+
+const ASSET_KEY_RE = /^sha256:[a-f0-9]{64}$/;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function assetError(message, asset) {
+  const error = new Error(`PROTOCOL_VIOLATION: ${message}`);
+  if (asset) error.details = { asset };
+  return error;
+}
+
+// IHDR is always the first chunk: width and height follow the 8-byte
+// signature, the chunk length and the chunk type. Reading them first keeps
+// oversized images from ever reaching the decoder.
+export function pngDimensions(bytes) {
+  if (bytes.length < 24 || !bytes.subarray(0, 8).equals(PNG_SIGNATURE) || bytes.toString("latin1", 12, 16) !== "IHDR") {
+    return null;
+  }
+  return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) };
+}
+
+// Decodes and checks every asset before anything executes. Returns a map of
+// hash -> PNG bytes (empty when the snapshot has no assets). Throws
+// PROTOCOL_VIOLATION on malformed entries, a hash that does not match its
+// content, non-PNG data or limits being exceeded.
+export function resolveAssets(assets) {
+  if (assets === undefined || assets === null) return {};
+  if (typeof assets !== "object" || Array.isArray(assets)) {
+    throw assetError('assets must be an object mapping "sha256:<hex>" hashes to base64 PNG data');
+  }
+
+  const entries = Object.entries(assets);
+  if (entries.length > ASSET_LIMITS.maxAssets) {
+    throw assetError(`Snapshot has ${entries.length} assets; at most ${ASSET_LIMITS.maxAssets} are allowed`);
+  }
+
+  const resolved = {};
+  for (const [hash, data] of entries) {
+    if (!ASSET_KEY_RE.test(hash)) {
+      throw assetError(`Invalid asset key ${JSON.stringify(hash)}: keys must be "sha256:<64 lowercase hex chars>"`, hash);
+    }
+    if (typeof data !== "string" || !BASE64_RE.test(data)) {
+      throw assetError(`Asset ${hash} must be a base64 string`, hash);
+    }
+
+    const bytes = Buffer.from(data, "base64");
+    if (bytes.length > ASSET_LIMITS.maxAssetBytes) {
+      throw assetError(`Asset ${hash} is ${bytes.length} bytes; the limit is ${ASSET_LIMITS.maxAssetBytes}`, hash);
+    }
+
+    const computed = `sha256:${crypto.createHash("sha256").update(bytes).digest("hex")}`;
+    if (computed !== hash) {
+      const error = assetError(`Asset ${hash} does not match its content (computed ${computed})`, hash);
+      error.details.computedHash = computed;
+      throw error;
+    }
+
+    const size = pngDimensions(bytes);
+    if (!size) {
+      throw assetError(`Asset ${hash} is not a PNG image`, hash);
+    }
+    if (size.width < 1 || size.height < 1 || size.width > ASSET_LIMITS.maxWidth || size.height > ASSET_LIMITS.maxHeight) {
+      throw assetError(`Asset ${hash} is ${size.width}x${size.height}; images must be between 1x1 and ${ASSET_LIMITS.maxWidth}x${ASSET_LIMITS.maxHeight}`, hash);
+    }
+
+    resolved[hash] = bytes;
+  }
+  return resolved;
+}
+
+// Sorted asset hashes, or undefined when there are none so that snapshots
+// without assets hash exactly as they did before assets existed.
+export function assetHashes(assets) {
+  if (!assets || typeof assets !== "object") return undefined;
+  const hashes = Object.keys(assets).sort();
+  return hashes.length > 0 ? hashes : undefined;
+}
@@ -0,0 +1,45 @@
+// Depth-first walk over an acorn AST in source order. The visitor receives
+// each node with its parent and grandparent, which is enough context to tell
+// calls, `new` expressions, member accesses and assignment targets apart, and
+// the full ancestor chain (outermost first) for questions about enclosing
+// scopes. The chain is live: copy it to keep it past the visitor call.
+export function walkAst(ast, visitor) {
+  const ancestors = [];
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== "string") return;
+
+    visitor(node, ancestors.at(-1) ?? null, ancestors.at(-2) ?? null, ancestors);
+
+    ancestors.push(node);
+    for (const key of Object.keys(node)) {
+      if (key === "loc") continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) visit(item);
+      } else if (child && typeof child === "object") {
+        visit(child);
+      }
+    }
+    ancestors.pop();
+  };
+
+  visit(ast);
+}
+
+export function memberName(node) {
+  if (node.computed) {
+    return node.property.type === "Literal" ? String(node.property.value) : null;
+  }
+  return node.property.name;
+}
+
+// Identifiers in these positions are names, not references to a global
+export function isReference(node, parent) {
+  if (!parent) return true;
+  if (parent.type === "MemberExpression" && parent.property === node && !parent.computed) return false;
+  if ((parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition")
+    && parent.key === node && !parent.computed) return false;
+  if (parent.type === "LabeledStatement" || parent.type === "BreakStatement" || parent.type === "ContinueStatement") return false;
+  return true;
+}
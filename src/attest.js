@@ -1,4 +1,5 @@
 import crypto from "crypto";
+import { assetHashes, resolveAssets } from "./assets.js";
 
 export function canonicalize(value) {
   if (value === null) {
@@ -76,9 +77,11 @@ export function computeAttestationHash({ certificateHash, nodeRuntimeHash, proto
   return sha256(payload);
 }
 
+// Asset hashes (not their data, which the hashes already pin) are part of the
+// input; a snapshot without assets hashes exactly as before.
 export function computeCodeModeInputHash(snapshot) {
   const { code, seed, vars } = snapshot;
-  const payload = canonicalize({ code, seed, vars });
+  const payload = canonicalize({ assets: assetHashes(snapshot.assets), code, seed, vars });
   return sha256(payload);
 }
 
@@ -173,6 +176,12 @@ export function verifyCodeModeBundle(bundle) {
     errors.push("snapshot.vars is required and must be an array");
   }
 
+  try {
+    resolveAssets(snapshot.assets);
+  } catch (error) {
+    errors.push(`snapshot.assets: ${error.message.replace("PROTOCOL_VIOLATION: ", "")}`);
+  }
+
   if (certificateHash !== undefined && !isValidSha256(certificateHash)) {
     errors.push(`Invalid certificateHash format: must be sha256:<64-hex-chars>`);
   }
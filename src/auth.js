@@ -69,7 +69,8 @@ export function createAuthMiddleware() {
       label: validation.label,
       plan: validation.plan,
       monthlyLimit: validation.monthlyLimit,
-      userId: validation.userId
+      userId: validation.userId,
+      varsMode: validation.varsMode
     };
     req.startTime = startTime;
 
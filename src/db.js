@@ -96,7 +96,7 @@ export async function validateApiKey(apiKey) {
   try {
     const keyHash = hashApiKey(apiKey);
     const result = await db.query(
-      `SELECT id, label, plan, status, monthly_limit, user_id 
+      `SELECT id, label, plan, status, monthly_limit, user_id, vars_mode
        FROM api_keys 
        WHERE key_hash = $1`,
       [keyHash]
@@ -117,7 +117,8 @@ export async function validateApiKey(apiKey) {
       label: key.label, 
       plan: key.plan,
       monthlyLimit: key.monthly_limit,
-      userId: key.user_id
+      userId: key.user_id,
+      varsMode: key.vars_mode
     };
   } catch (error) {
     console.error("[DB] API key validation error:", error.message);
@@ -257,8 +258,8 @@ export async function insertCerProof(proof) {
       `INSERT INTO cer_proofs
        (api_key_id, bundle_type, certificate_hash, attestation_id,
         node_runtime_hash, protocol_version, sdk_version, app_id,
-        execution_id, input_hash, output_hash, status, error, artifact_path, meta)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+        execution_id, input_hash, output_hash, status, error, artifact_path, meta, key_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
        ON CONFLICT (certificate_hash) DO NOTHING
        RETURNING id`,
       [
@@ -276,7 +277,8 @@ export async function insertCerProof(proof) {
         proof.status || "ATTESTED",
         proof.error || null,
         proof.artifactPath || null,
-        proof.meta ? JSON.stringify(proof.meta) : null
+        proof.meta ? JSON.stringify(proof.meta) : null,
+        proof.keyId || null
       ]
     );
     return result.rows[0]?.id || "duplicate";
@@ -0,0 +1,218 @@
+import { walkAst, memberName, isReference } from "./ast-walk.js";
+
+// Sources of non-determinism a sketch must not touch: their values differ
+// between the original render and a /verify re-render. Sketches get seeded
+// random()/noise() and frameCount/t/time from the runtime instead.
+const GUIDANCE = {
+  "Math.random": "use random() (seeded) instead",
+  Date: "use frameCount, t or time instead",
+  performance: "use frameCount, t or time instead",
+  global: "call runtime functions directly instead",
+};
+
+// Names of the global object itself. Reaching it would hand a sketch the real
+// Math, Date and performance past the scoped guards.
+const GLOBAL_OBJECT_NAMES = ["globalThis", "global", "self"];
+
+function isGlobalObjectUse(api) {
+  return [...GLOBAL_OBJECT_NAMES, "this"].some(name => api === name || api.startsWith(`${name}.`));
+}
+
+function violation(api) {
+  const key = isGlobalObjectUse(api) ? "global"
+    : api.startsWith("Math.") ? "Math.random"
+      : api.includes("Date") ? "Date" : "performance";
+  return `${api} is not allowed in NexArt sketches; ${GUIDANCE[key]}`;
+}
+
+function describeDateUse(parent, grandparent) {
+  if (parent?.type === "NewExpression") return "new Date()";
+  if (parent?.type === "CallExpression") return "Date()";
+  if (parent?.type === "MemberExpression") {
+    const name = memberName(parent);
+    if (name) return grandparent?.type === "CallExpression" && grandparent.callee === parent ? `Date.${name}()` : `Date.${name}`;
+  }
+  return "Date";
+}
+
+function describeMemberUse(base, node, parent, grandparent) {
+  if (parent?.type === "MemberExpression" && parent.object === node) {
+    const name = memberName(parent);
+    if (name) return grandparent?.type === "CallExpression" && grandparent.callee === parent ? `${base}.${name}()` : `${base}.${name}`;
+  }
+  return base;
+}
+
+// In sloppy mode `this` is the global object outside any function and in a
+// function expression that is invoked on the spot. Functions that are called
+// as methods or constructors (the usual p5 particle class) are left alone.
+function isUnboundThis(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (node.type === "ArrowFunctionExpression") continue;
+    if (node.type === "FunctionExpression") {
+      const parent = ancestors[i - 1];
+      return parent?.type === "CallExpression" && parent.callee === node;
+    }
+    if (node.type === "FunctionDeclaration" || node.type === "PropertyDefinition" || node.type === "StaticBlock") {
+      return false;
+    }
+  }
+  return true;
+}
+
+function collectBindingNames(pattern, names) {
+  if (!pattern) return;
+  if (pattern.type === "Identifier") names.add(pattern.name);
+  else if (pattern.type === "ObjectPattern") pattern.properties.forEach(prop => collectBindingNames(prop.type === "RestElement" ? prop.argument : prop.value, names));
+  else if (pattern.type === "ArrayPattern") pattern.elements.forEach(element => collectBindingNames(element, names));
+  else if (pattern.type === "AssignmentPattern") collectBindingNames(pattern.left, names);
+  else if (pattern.type === "RestElement") collectBindingNames(pattern.argument, names);
+}
+
+// Every name the sketch binds itself, in any scope
+export function declaredNames(ast) {
+  const names = new Set();
+  walkAst(ast, (node) => {
+    if (node.type === "VariableDeclarator") {
+      collectBindingNames(node.id, names);
+    } else if (node.type === "FunctionDeclaration" || node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression") {
+      if (node.id) names.add(node.id.name);
+      node.params.forEach(param => collectBindingNames(param, names));
+    } else if ((node.type === "ClassDeclaration" || node.type === "ClassExpression") && node.id) {
+      names.add(node.id.name);
+    } else if (node.type === "CatchClause") {
+      collectBindingNames(node.param, names);
+    }
+  });
+  return names;
+}
+
+// Returns every reference to Math.random, Date or performance in the sketch
+// AST with its 1-based source location, in source order. Matching is by
+// name: a sketch-local variable called `Date` is reported as well. References
+// to the global object (globalThis, global, self, or an unbound `this`) are
+// reported too, unless the sketch declares that name itself, since
+// `const self = this` is common in constructor functions.
+export function findNondeterministicCalls(ast) {
+  const calls = [];
+  const declared = declaredNames(ast);
+
+  walkAst(ast, (node, parent, grandparent, ancestors) => {
+    if (node.type === "MemberExpression" && node.object.type === "Identifier" && node.object.name === "Math" && memberName(node) === "random") {
+      const called = parent?.type === "CallExpression" && parent.callee === node;
+      calls.push({ api: called ? "Math.random()" : "Math.random", line: node.loc.start.line, column: node.loc.start.column + 1 });
+    } else if (node.type === "Identifier" && isReference(node, parent)) {
+      if (node.name === "Date") {
+        calls.push({ api: describeDateUse(parent, grandparent), line: node.loc.start.line, column: node.loc.start.column + 1 });
+      } else if (node.name === "performance") {
+        calls.push({ api: describeMemberUse("performance", node, parent, grandparent), line: node.loc.start.line, column: node.loc.start.column + 1 });
+      } else if (GLOBAL_OBJECT_NAMES.includes(node.name) && !declared.has(node.name)) {
+        calls.push({ api: describeMemberUse(node.name, node, parent, grandparent), line: node.loc.start.line, column: node.loc.start.column + 1 });
+      }
+    } else if (node.type === "ThisExpression" && isUnboundThis(ancestors)) {
+      calls.push({ api: describeMemberUse("this", node, parent, grandparent), line: node.loc.start.line, column: node.loc.start.column + 1 });
+    }
+  });
+
+  return calls.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export function assertDeterministic(ast) {
+  const calls = findNondeterministicCalls(ast);
+  if (calls.length === 0) return;
+
+  const sites = calls.map(call => `${call.api} (line ${call.line}, column ${call.column})`).join(", ");
+  const error = new Error(`PROTOCOL_VIOLATION: Non-deterministic APIs are not allowed in NexArt sketches: ${sites}`);
+  error.details = { violations: calls.map(call => ({ ...call, message: violation(call.api) })) };
+  throw error;
+}
+
+function forbidden(api) {
+  return () => {
+    throw new Error(`PROTOCOL_VIOLATION: ${violation(api)}`);
+  };
+}
+
+// Innermost scope of every sketch evaluation. Shadows Math, Date and
+// performance so dynamic access the static scan cannot see (e.g.
+// Math["ran" + "dom"]) still fails with PROTOCOL_VIOLATION.
+export function createDeterminismGuards() {
+  const safeMath = Object.create(Math);
+  Object.defineProperty(safeMath, "random", { get: forbidden("Math.random()"), enumerable: true });
+
+  const dateTarget = function Date() {};
+  const guardedDate = new Proxy(dateTarget, {
+    apply: forbidden("Date()"),
+    construct: forbidden("new Date()"),
+    get: (target, prop) => forbidden(typeof prop === "string" ? `Date.${prop}` : "Date")(),
+  });
+
+  const guardedPerformance = new Proxy({}, {
+    get: (target, prop) => forbidden(typeof prop === "string" ? `performance.${prop}` : "performance")(),
+  });
+
+  const guards = Object.create(null);
+  guards.Math = Object.freeze(safeMath);
+  guards.Date = guardedDate;
+  guards.performance = guardedPerformance;
+  return Object.freeze(guards);
+}
+
+// Replaces Math.random, Date and performance on the global object itself, for
+// sketch code that reaches it in a way neither the scan nor the scoped guards
+// can see. The replacements only throw inside run(fn); around it the worker's
+// own code (PDF metadata, timers) gets the real behaviour. Install once per
+// worker, before any sketch runs.
+export function installGlobalDeterminismGuards(target = globalThis) {
+  let armed = 0;
+  const check = (api) => {
+    if (armed > 0) forbidden(api)();
+  };
+
+  const realRandom = target.Math.random;
+  target.Math.random = function random() {
+    check("Math.random()");
+    return realRandom();
+  };
+
+  const RealDate = target.Date;
+  target.Date = new Proxy(RealDate, {
+    apply: (fn, thisArg, args) => {
+      check("Date()");
+      return Reflect.apply(fn, thisArg, args);
+    },
+    construct: (fn, args, newTarget) => {
+      check("new Date()");
+      return Reflect.construct(fn, args, newTarget === target.Date ? fn : newTarget);
+    },
+    get: (fn, prop) => {
+      check(typeof prop === "string" ? `Date.${prop}` : "Date");
+      return Reflect.get(fn, prop);
+    },
+  });
+
+  const realPerformance = target.performance;
+  if (realPerformance) {
+    Object.defineProperty(target, "performance", {
+      configurable: true,
+      writable: true,
+      value: new Proxy(realPerformance, {
+        get: (perf, prop) => {
+          check(typeof prop === "string" ? `performance.${prop}` : "performance");
+          const value = Reflect.get(perf, prop);
+          return typeof value === "function" ? value.bind(perf) : value;
+        },
+      }),
+    });
+  }
+
+  return async function run(fn) {
+    armed++;
+    try {
+      return await fn();
+    } finally {
+      armed--;
+    }
+  };
+}
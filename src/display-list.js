@@ -0,0 +1,118 @@
+// Records everything a sketch does to its main 2D context so the drawing can
+// be replayed onto another surface (the SVG and PDF backends in
+// vector-output.js). The recorder sits between the runtime and the real
+// context: every call still reaches the real context, so the canonical PNG
+// is produced exactly as without recording.
+//
+// Pixel operations have no vector form. putImageData() and drawImage() are
+// recorded with a copy of their pixels, taken at call time, and replay as
+// embedded raster images.
+
+// Calls that change what ends up on the surface or the state that affects
+// it. Everything else (getImageData, measureText, ...) is forwarded only.
+const RECORDED_METHODS = new Set([
+  "save", "restore",
+  "beginPath", "closePath", "moveTo", "lineTo", "bezierCurveTo", "quadraticCurveTo",
+  "arc", "arcTo", "ellipse", "rect", "roundRect",
+  "fill", "stroke", "clip",
+  "fillRect", "strokeRect", "clearRect", "fillText", "strokeText",
+  "translate", "rotate", "scale", "transform", "setTransform", "resetTransform",
+  "setLineDash",
+  "drawImage", "putImageData",
+]);
+
+export const DISPLAY_LIST_LIMITS = Object.freeze({
+  maxOps: 2_000_000,
+  maxRasterBytes: 128 * 1024 * 1024,
+});
+
+// `createCanvas(width, height)` makes the raster canvases that hold copied
+// pixels; it is node-canvas' createCanvas in production.
+export function createDisplayListRecorder(ctx, { createCanvas, limits = DISPLAY_LIST_LIMITS }) {
+  const ops = [];
+  let rasterBytes = 0;
+  let rasterOps = 0;
+
+  const push = (op) => {
+    if (ops.length >= limits.maxOps) {
+      throw new Error(`RESOURCE_LIMIT: Sketch exceeded the vector display list limit of ${limits.maxOps} operations`);
+    }
+    ops.push(op);
+  };
+
+  const copyRaster = (width, height, paint) => {
+    rasterBytes += width * height * 4;
+    if (rasterBytes > limits.maxRasterBytes) {
+      throw new Error(`RESOURCE_LIMIT: Sketch exceeded the vector raster limit of ${limits.maxRasterBytes} bytes`);
+    }
+    rasterOps++;
+    const raster = createCanvas(width, height);
+    paint(raster.getContext("2d"));
+    return raster;
+  };
+
+  const recordCall = (method, args) => {
+    if (method === "drawImage") {
+      const [source, ...rest] = args;
+      const raster = copyRaster(source.width, source.height, (rasterCtx) => rasterCtx.drawImage(source, 0, 0));
+      push({ op: "call", method, args: [raster, ...rest] });
+      return;
+    }
+    if (method === "putImageData") {
+      const [imageData, ...rest] = args;
+      const raster = copyRaster(imageData.width, imageData.height, (rasterCtx) => rasterCtx.putImageData(imageData, 0, 0));
+      push({ op: "putImageData", args: [raster, ...rest] });
+      return;
+    }
+    push({ op: "call", method, args: args.map(arg => (Array.isArray(arg) ? [...arg] : arg)) });
+  };
+
+  const context = new Proxy(ctx, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== "function") return value;
+      if (!RECORDED_METHODS.has(prop)) return value.bind(target);
+      return (...args) => {
+        const result = value.apply(target, args);
+        recordCall(prop, args);
+        return result;
+      };
+    },
+    set(target, prop, value) {
+      Reflect.set(target, prop, value, target);
+      push({ op: "set", prop, value });
+      return true;
+    },
+  });
+
+  return {
+    context,
+    // A canvas-shaped wrapper for createP5Runtime()/extendP5Runtime()
+    wrapCanvas: (canvas) => ({
+      get width() { return canvas.width; },
+      get height() { return canvas.height; },
+      getContext: () => context,
+    }),
+    getDisplayList: () => ({ ops, rasterOps }),
+  };
+}
+
+// Replays a display list onto `ctx`. putImageData() ignores the transform,
+// alpha and blend mode, so its raster is drawn untransformed and opaque-over.
+export function replayDisplayList({ ops }, ctx) {
+  for (const entry of ops) {
+    if (entry.op === "set") {
+      ctx[entry.prop] = entry.value;
+    } else if (entry.op === "call") {
+      ctx[entry.method](...entry.args);
+    } else if (entry.op === "putImageData") {
+      const [raster, dx, dy, sx = 0, sy = 0, sw = raster.width, sh = raster.height] = entry.args;
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = "source-over";
+      ctx.drawImage(raster, sx, sy, sw, sh, dx + sx, dy + sy, sw, sh);
+      ctx.restore();
+    }
+  }
+}
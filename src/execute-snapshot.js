@@ -0,0 +1,71 @@
+import { createSketchRuntime } from "./sketch-runtime.js";
+import { getProtocolRuntime } from "./protocol-runtimes.js";
+import { loadSketch } from "./sketch-loader.js";
+import {
+  injectTimeVariables,
+  injectProtocolVariables
+} from "@nexart/codemode-sdk/node";
+
+export function executeSnapshot(snapshot, options = {}) {
+  const { code, seed, vars = [], assets, protocolVersion } = snapshot;
+  const { width = 1950, height = 2400, maxDrawOps, recordDisplayList = false } = options;
+
+  const protocolRuntime = getProtocolRuntime(protocolVersion);
+  const { numericSeed, derivedSeed } = protocolRuntime.deriveSeed(seed);
+
+  const { canvas, p, getDisplayList, opStream } = createSketchRuntime({
+    width,
+    height,
+    seed: numericSeed,
+    maxDrawOps,
+    assets,
+    protocolRuntime,
+    record: recordDisplayList,
+  });
+
+  const { normalizedVars } = protocolRuntime.normalizeVars(vars);
+
+  injectProtocolVariables(p, normalizedVars);
+
+  // Inject time variables for setup() with frameCount: 0
+  injectTimeVariables(p, {
+    frameCount: 0,
+    t: 0,
+    time: 0,
+    tGlobal: 0,
+  });
+
+  // Evaluate the sketch program and resolve setup()/draw()
+  const { setup, draw } = loadSketch(code, p);
+
+  // Run setup() once
+  if (setup) {
+    opStream.mark("setup");
+    setup();
+  }
+
+  if (draw) {
+    // Inject time variables for draw() with frameCount: 1
+    injectTimeVariables(p, {
+      frameCount: 1,
+      t: 0,
+      time: 0,
+      tGlobal: 0,
+    });
+
+    // Run draw() once for static mode
+    opStream.mark("draw", 0);
+    draw();
+  }
+
+  return {
+    canvas,
+    protocolRuntime,
+    numericSeed,
+    derivedSeed,
+    normalizedVars,
+    codeLength: code.length,
+    displayList: getDisplayList?.() ?? null,
+    ...opStream.digest(),
+  };
+}
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+// Pinned font set. Text is only ever drawn with these files, registered with
+// node-canvas before any canvas exists, so output never depends on the fonts
+// installed in the container. Every file is checked against its SHA-256 at
+// registration; bump the id whenever a file or family changes.
+export const FONT_SET_ID = "nexart.fonts.v1";
+export const FONT_PACKAGE = "dejavu-fonts-ttf@2.37.3";
+export const DEFAULT_FONT_FAMILY = "DejaVu Sans";
+
+export const PROTOCOL_FONTS = Object.freeze([
+  Object.freeze({
+    family: "DejaVu Sans",
+    aliases: Object.freeze(["sans-serif"]),
+    files: Object.freeze({
+      normal: { file: "DejaVuSans.ttf", sha256: "7da195a74c55bef988d0d48f9508bd5d849425c1770dba5d7bfc6ce9ed848954" },
+      bold: { file: "DejaVuSans-Bold.ttf", sha256: "e6476c1b80502924294eed40894c5b18e06c181444ca953e5334262df9c27724" },
+      italic: { file: "DejaVuSans-Oblique.ttf", sha256: "4af75fa16ee6d3ad43e1ecec41862c24954af26a55c6bb1ebb27bd486a50f5f4" },
+      bolditalic: { file: "DejaVuSans-BoldOblique.ttf", sha256: "eb436dca0c2594b73d8b603b892e374fdfd8d885d25ffb4f18df4c4c0b49e50f" },
+    }),
+  }),
+  Object.freeze({
+    family: "DejaVu Serif",
+    aliases: Object.freeze(["serif"]),
+    files: Object.freeze({
+      normal: { file: "DejaVuSerif.ttf", sha256: "42d1edeb7952f31b1f96d767ed7030b08a39e0c372b0071641518864e2bffb51" },
+      bold: { file: "DejaVuSerif-Bold.ttf", sha256: "c47b5527bcdc8dcf9ea8c77054454c5a884beaca2f44851a2a823ee639cbf07f" },
+      italic: { file: "DejaVuSerif-Italic.ttf", sha256: "2e39b1d50f90b933b00c7bb54a96afd3f86419b3d717c7cf202e36f2d4973e47" },
+      bolditalic: { file: "DejaVuSerif-BoldItalic.ttf", sha256: "8d3dd3d31350309042ed226af82b34539bd773518e6107cb352712853ba80308" },
+    }),
+  }),
+  Object.freeze({
+    family: "DejaVu Sans Mono",
+    aliases: Object.freeze(["monospace"]),
+    files: Object.freeze({
+      normal: { file: "DejaVuSansMono.ttf", sha256: "b4a6c3e4faab8773f4ff761d56451646409f29abedd68f05d38c2df667d3c582" },
+      bold: { file: "DejaVuSansMono-Bold.ttf", sha256: "bce60f1b4421acd9ea51ba6623d7024ecbe6817a953e3654df62a5e6bdf8f769" },
+      italic: { file: "DejaVuSansMono-Oblique.ttf", sha256: "742097840c541870e8d6dc5c9b37bb1ceeea6c0dedd1d475faf903ef9df734b0" },
+      bolditalic: { file: "DejaVuSansMono-BoldOblique.ttf", sha256: "91713a71d550bba22c2a6b2bb2a9ad8f9a159e12e4e9f0a5b2677998ba21213e" },
+    }),
+  }),
+]);
+
+const FONT_STYLES = {
+  normal: { weight: "normal", style: "normal" },
+  bold: { weight: "bold", style: "normal" },
+  italic: { weight: "normal", style: "italic" },
+  bolditalic: { weight: "bold", style: "italic" },
+};
+
+// Hash over the sorted (family, style, file hash) triples, so it changes with
+// any font file but not with manifest ordering or file names.
+export const FONT_SET_HASH = (() => {
+  const entries = PROTOCOL_FONTS.flatMap(({ family, files }) =>
+    Object.keys(files).map(style => `${family}\t${style}\t${files[style].sha256}`)
+  ).sort();
+  return crypto.createHash("sha256").update(entries.join("\n")).digest("hex");
+})();
+
+export function approvedFontNames() {
+  return PROTOCOL_FONTS.flatMap(({ family, aliases }) => [family, ...aliases]);
+}
+
+// Case-insensitive match on a family name or CSS generic alias; null when the
+// font is not part of the protocol set.
+export function resolveFontFamily(name) {
+  if (typeof name !== "string") return null;
+  const wanted = name.trim().replace(/^["']|["']$/g, "").toLowerCase();
+  const font = PROTOCOL_FONTS.find(({ family, aliases }) =>
+    family.toLowerCase() === wanted || aliases.includes(wanted)
+  );
+  return font ? font.family : null;
+}
+
+export function getFontSetInfo() {
+  return {
+    id: FONT_SET_ID,
+    hash: FONT_SET_HASH,
+    package: FONT_PACKAGE,
+    defaultFamily: DEFAULT_FONT_FAMILY,
+    families: PROTOCOL_FONTS.map(({ family, aliases, files }) => ({ family, aliases, styles: Object.keys(files) })),
+  };
+}
+
+// Takes node-canvas' registerFont so this module stays free of the native
+// canvas binding; only render workers call it.
+export function registerProtocolFonts(registerFont) {
+  const require = createRequire(import.meta.url);
+  const fontDir = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+
+  for (const { family, files } of PROTOCOL_FONTS) {
+    for (const [styleName, { file, sha256 }] of Object.entries(files)) {
+      const fontPath = path.join(fontDir, file);
+      const actual = crypto.createHash("sha256").update(fs.readFileSync(fontPath)).digest("hex");
+      if (actual !== sha256) {
+        throw new Error(`Font file ${file} does not match the pinned ${FONT_SET_ID} font set (expected ${sha256}, got ${actual})`);
+      }
+      registerFont(fontPath, { family, ...FONT_STYLES[styleName] });
+    }
+  }
+}
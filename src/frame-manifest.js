@@ -0,0 +1,38 @@
+import crypto from "crypto";
+
+// Frame hashes cover the raw, unpremultiplied RGBA pixels of each frame as
+// returned by getImageData(), so they are independent of PNG/MP4 encoders.
+export const FRAME_HASH_FORMAT = "rgba8";
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256Buffer(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+export function hashFrameRgba(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function merkleTreeHash(leaves, start, end) {
+  if (end - start === 1) {
+    return leaves[start];
+  }
+  let split = 1;
+  while (split * 2 < end - start) split *= 2;
+  return sha256Buffer(NODE_PREFIX, merkleTreeHash(leaves, start, start + split), merkleTreeHash(leaves, start + split, end));
+}
+
+// RFC 6962 Merkle tree hash over the ordered frame hashes:
+//   leaf = SHA-256(0x00 || frameHash), node = SHA-256(0x01 || left || right),
+// splitting at the largest power of two smaller than the range.
+export function computeFrameRoot(frameHashes) {
+  if (!Array.isArray(frameHashes) || frameHashes.length === 0) {
+    throw new Error("computeFrameRoot requires at least one frame hash");
+  }
+  const leaves = frameHashes.map(hex => sha256Buffer(LEAF_PREFIX, Buffer.from(hex, "hex")));
+  return merkleTreeHash(leaves, 0, leaves.length).toString("hex");
+}
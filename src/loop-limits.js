@@ -0,0 +1,83 @@
+// Bounds on loop-mode execution parameters. LOOP_LIMITS is what the protocol
+// accepts from anyone; a plan can only tighten it. Checked before any frame
+// is rendered, so an oversized request costs nothing but the error.
+export const LOOP_LIMITS = Object.freeze({
+  minTotalFrames: 2,
+  maxTotalFrames: 3600,
+  minFps: 1,
+  maxFps: 60,
+  maxDurationSeconds: 120,
+});
+
+// Keyed by api_keys.plan. Unknown plans get the free limits.
+export const PLAN_LOOP_LIMITS = Object.freeze({
+  free: Object.freeze({ maxTotalFrames: 300, maxFps: 30, maxDurationSeconds: 10 }),
+  pro: Object.freeze({ maxTotalFrames: 1800, maxFps: 60, maxDurationSeconds: 60 }),
+  enterprise: Object.freeze({}),
+});
+
+// Rough per-frame render time for the estimate; loop renders are dominated by
+// draw() plus PNG/video encoding at the fixed canvas size
+const ESTIMATED_FRAME_MS = 40;
+
+// The limits for a plan; without a plan (the unauthenticated /render and
+// /verify) only the protocol bounds apply
+export function resolveLoopLimits(plan) {
+  if (plan === undefined || plan === null) {
+    return { plan: null, ...LOOP_LIMITS };
+  }
+  const resolvedPlan = Object.hasOwn(PLAN_LOOP_LIMITS, plan) ? plan : "free";
+  const planLimits = PLAN_LOOP_LIMITS[resolvedPlan];
+  return {
+    plan: resolvedPlan,
+    minTotalFrames: LOOP_LIMITS.minTotalFrames,
+    maxTotalFrames: Math.min(LOOP_LIMITS.maxTotalFrames, planLimits.maxTotalFrames ?? Infinity),
+    minFps: LOOP_LIMITS.minFps,
+    maxFps: Math.min(LOOP_LIMITS.maxFps, planLimits.maxFps ?? Infinity),
+    maxDurationSeconds: Math.min(LOOP_LIMITS.maxDurationSeconds, planLimits.maxDurationSeconds ?? Infinity),
+  };
+}
+
+// What a loop render will cost. A single-frame request still renders every
+// frame before the one requested, so `renderedFrames` can be less than
+// totalFrames.
+export function estimateLoopCost({ totalFrames, fps }, renderedFrames = totalFrames) {
+  return {
+    totalFrames,
+    fps,
+    durationSeconds: totalFrames / fps,
+    renderedFrames,
+    estimatedRenderMs: renderedFrames * ESTIMATED_FRAME_MS,
+  };
+}
+
+// Throws LOOP_MODE_ERROR listing every exceeded limit, with the violations,
+// the limits applied and the estimate as `details`
+export function assertLoopWithinLimits(timing, limits = LOOP_LIMITS) {
+  const { totalFrames, fps } = timing;
+  const durationSeconds = totalFrames / fps;
+  const violations = [];
+
+  if (totalFrames > limits.maxTotalFrames) {
+    violations.push({ field: "totalFrames", value: totalFrames, limit: limits.maxTotalFrames,
+      message: `totalFrames ${totalFrames} exceeds the maximum of ${limits.maxTotalFrames}` });
+  }
+  if (fps < limits.minFps) {
+    violations.push({ field: "fps", value: fps, limit: limits.minFps,
+      message: `fps ${fps} is below the minimum of ${limits.minFps}` });
+  }
+  if (fps > limits.maxFps) {
+    violations.push({ field: "fps", value: fps, limit: limits.maxFps,
+      message: `fps ${fps} exceeds the maximum of ${limits.maxFps}` });
+  }
+  if (durationSeconds > limits.maxDurationSeconds) {
+    violations.push({ field: "durationSeconds", value: durationSeconds, limit: limits.maxDurationSeconds,
+      message: `duration ${durationSeconds}s exceeds the maximum of ${limits.maxDurationSeconds}s` });
+  }
+  if (violations.length === 0) return;
+
+  const scope = limits.plan ? `the ${limits.plan} plan` : "protocol";
+  const error = new Error(`LOOP_MODE_ERROR: Loop execution exceeds ${scope} limits: ${violations.map(v => v.message).join("; ")}`);
+  error.details = { violations, limits, estimate: estimateLoopCost(timing) };
+  throw error;
+}
@@ -0,0 +1,94 @@
+import { resolveAnimationFormat } from "./animation-formats.js";
+import { LOOP_LIMITS, assertLoopWithinLimits } from "./loop-limits.js";
+
+// Time variables injected before each draw() call in loop mode. Anything that
+// renders a loop frame must use these so its pixels match the full animation.
+export function loopTimeVariables(frame, totalFrames, fps) {
+  const t = frame / totalFrames;
+  return {
+    frameCount: frame,
+    t,
+    time: frame / fps,
+    tGlobal: t,
+  };
+}
+
+// Resolves a frame selector to a frame index: either an integer `frame` in
+// [0, totalFrames) or a normalized `t` in [0, 1), which maps to the frame
+// on screen at that point of the loop.
+export function resolveFrameIndex({ frame, t }, totalFrames) {
+  if (frame !== undefined && t !== undefined) {
+    throw new Error("LOOP_MODE_ERROR: Specify either frame or t, not both");
+  }
+
+  if (frame !== undefined) {
+    if (!Number.isInteger(frame) || frame < 0 || frame >= totalFrames) {
+      throw new Error(`LOOP_MODE_ERROR: frame must be an integer in [0, ${totalFrames - 1}], got ${frame}`);
+    }
+    return frame;
+  }
+
+  if (typeof t !== "number" || !Number.isFinite(t) || t < 0 || t >= 1) {
+    throw new Error(`LOOP_MODE_ERROR: t must be a number in [0, 1), got ${t}`);
+  }
+  // The epsilon keeps t = frame / totalFrames on its own frame despite float error
+  return Math.min(totalFrames - 1, Math.floor(t * totalFrames + 1e-9));
+}
+
+// execution.posterFrame selects the loop frame encoded as the poster: an
+// integer frame index, or `{ frame }` / `{ t }` as accepted by resolveFrameIndex().
+// Defaults to frame 0.
+export function resolvePosterFrame(posterFrame, totalFrames) {
+  if (posterFrame === undefined || posterFrame === null) {
+    return 0;
+  }
+  if (typeof posterFrame === "number") {
+    return resolveFrameIndex({ frame: posterFrame }, totalFrames);
+  }
+  if (typeof posterFrame === "object" && !Array.isArray(posterFrame)) {
+    return resolveFrameIndex(posterFrame, totalFrames);
+  }
+  throw new Error("LOOP_MODE_ERROR: posterFrame must be a frame index or an object with frame or t");
+}
+
+// Resolves a snapshot's `execution` block with the renderer defaults
+// (120 frames at 30fps); invalid values, or values outside `limits` (see
+// loop-limits.js), throw LOOP_MODE_ERROR.
+export function resolveLoopTiming(execution, limits = LOOP_LIMITS) {
+  const totalFrames = execution?.totalFrames || 120;
+  const fps = execution?.fps || 30;
+
+  if (!Number.isInteger(totalFrames)) {
+    throw new Error(`LOOP_MODE_ERROR: totalFrames must be an integer, got ${JSON.stringify(totalFrames)}`);
+  }
+  if (typeof fps !== "number" || !Number.isFinite(fps)) {
+    throw new Error(`LOOP_MODE_ERROR: fps must be a finite number, got ${JSON.stringify(fps)}`);
+  }
+  if (totalFrames < limits.minTotalFrames) {
+    throw new Error(`LOOP_MODE_ERROR: Loop mode requires totalFrames >= ${limits.minTotalFrames}`);
+  }
+  assertLoopWithinLimits({ totalFrames, fps }, limits);
+
+  return { totalFrames, fps };
+}
+
+export function resolveLoopExecution(execution, limits) {
+  const { totalFrames, fps } = resolveLoopTiming(execution, limits);
+  return {
+    totalFrames,
+    fps,
+    animationFormat: resolveAnimationFormat(execution?.format),
+    posterFrame: resolvePosterFrame(execution?.posterFrame, totalFrames),
+  };
+}
+
+// execution.frame / execution.t request a single loop frame as a PNG instead
+// of the whole animation
+export function isFrameRequest(execution) {
+  return Boolean(execution) && (execution.frame !== undefined || execution.t !== undefined);
+}
+
+export function resolveFrameExecution(execution, limits) {
+  const { totalFrames, fps } = resolveLoopTiming(execution, limits);
+  return { totalFrames, fps, frame: resolveFrameIndex(execution, totalFrames) };
+}
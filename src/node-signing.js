@@ -0,0 +1,275 @@
+import crypto from "crypto";
+import fs from "fs";
+import { canonicalize } from "./attest.js";
+
+// Node signing keys. Every attestation this node issues is signed with an
+// Ed25519 key so a verifier holding the public key from
+// /.well-known/nexart-keys.json can tell it from one fabricated elsewhere.
+// The signature covers the canonical JSON (see canonicalize() in attest.js)
+// of the attestation with its keyId and without its signature.
+//
+// Config, either a single key:
+//   NEXART_SIGNING_KEY       PKCS#8 PEM, or base64 of the raw 32-byte seed
+//   NEXART_SIGNING_KEY_FILE  path to a PKCS#8 PEM file (used when the above is unset)
+//   NEXART_SIGNING_KEY_ID    key id to publish; defaults to one derived from the public key
+// or a key ring for rotation (takes precedence):
+//   NEXART_SIGNING_KEYS      JSON array of key entries (see parseKeyEntry())
+//   NEXART_SIGNING_KEYS_FILE path to a file holding that array
+//
+// Without a key, production refuses to start. Elsewhere an ephemeral key is
+// generated per process, so signatures only verify against that process.
+
+export const SIGNATURE_ALGORITHM = "Ed25519";
+export const REVOCATION_LIST_TYPE = "nexart.key-revocations.v1";
+
+// PKCS#8 DER prefix for an Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+function parsePrivateKey(material) {
+  const trimmed = material.trim();
+  let privateKey;
+  if (trimmed.startsWith("-----BEGIN")) {
+    privateKey = crypto.createPrivateKey(trimmed);
+  } else {
+    const seed = Buffer.from(trimmed, "base64");
+    if (seed.length !== 32) {
+      throw new Error(`NEXART_SIGNING_KEY must be a PKCS#8 PEM or base64 of a 32-byte Ed25519 seed, got ${seed.length} bytes`);
+    }
+    privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: "der",
+      type: "pkcs8",
+    });
+  }
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(`Node signing key must be Ed25519, got ${privateKey.asymmetricKeyType}`);
+  }
+  return privateKey;
+}
+
+// Raw 32-byte public key, base64url (the JWK "x" value)
+export function encodePublicKey(publicKey) {
+  return publicKey.export({ format: "jwk" }).x;
+}
+
+export function decodePublicKey(encoded) {
+  return crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: encoded }, format: "jwk" });
+}
+
+// "ed25519:" + the first 16 hex chars of SHA-256 over the raw public key
+export function deriveKeyId(publicKey) {
+  const raw = Buffer.from(encodePublicKey(publicKey), "base64url");
+  return `ed25519:${crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16)}`;
+}
+
+export function createSigningKey(privateKey, keyId) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  return Object.freeze({
+    keyId: keyId || deriveKeyId(publicKey),
+    privateKey,
+    publicKey,
+  });
+}
+
+// Single-key config (NEXART_SIGNING_KEY / _FILE), or an ephemeral key outside
+// production
+export function loadNodeSigningKey(env = process.env) {
+  let material = env.NEXART_SIGNING_KEY;
+  if (!material && env.NEXART_SIGNING_KEY_FILE) {
+    material = fs.readFileSync(env.NEXART_SIGNING_KEY_FILE, "utf-8");
+  }
+
+  if (material) {
+    return { ...createSigningKey(parsePrivateKey(material), env.NEXART_SIGNING_KEY_ID), ephemeral: false };
+  }
+
+  if (env.NODE_ENV === "production") {
+    throw new Error("NEXART_SIGNING_KEY or NEXART_SIGNING_KEY_FILE is required in production");
+  }
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  console.warn("[signing] No NEXART_SIGNING_KEY configured; using an ephemeral key for this process");
+  return { ...createSigningKey(privateKey, env.NEXART_SIGNING_KEY_ID), ephemeral: true };
+}
+
+function parseDate(value, field, keyId) {
+  if (value === undefined || value === null) return null;
+  const time = Date.parse(value);
+  if (typeof value !== "string" || Number.isNaN(time)) {
+    throw new Error(`Signing key ${keyId}: ${field} must be an ISO date, got ${JSON.stringify(value)}`);
+  }
+  return new Date(time).toISOString();
+}
+
+// A key ring entry:
+//   { keyId, privateKey?, publicKey?, notBefore?, notAfter?, revokedAt?, revocationReason? }
+// `privateKey` as for NEXART_SIGNING_KEY (or a KeyObject). A retired key
+// whose private half has been destroyed keeps only `publicKey` (base64url raw
+// key) so its old attestations still verify. The key signs new attestations
+// only inside [notBefore, notAfter).
+function parseKeyEntry(entry) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error("Signing key entries must be objects");
+  }
+  if (!entry.privateKey && !entry.publicKey) {
+    throw new Error(`Signing key ${entry.keyId ?? "(no keyId)"}: privateKey or publicKey is required`);
+  }
+
+  const privateKey = typeof entry.privateKey === "string" ? parsePrivateKey(entry.privateKey) : entry.privateKey ?? null;
+  const publicKey = privateKey ? crypto.createPublicKey(privateKey) : decodePublicKey(entry.publicKey);
+  const keyId = entry.keyId || deriveKeyId(publicKey);
+  const key = {
+    keyId,
+    privateKey,
+    publicKey,
+    notBefore: parseDate(entry.notBefore, "notBefore", keyId),
+    notAfter: parseDate(entry.notAfter, "notAfter", keyId),
+    revokedAt: parseDate(entry.revokedAt, "revokedAt", keyId),
+    revocationReason: entry.revocationReason ?? (entry.revokedAt ? "unspecified" : null),
+  };
+  if (key.notBefore && key.notAfter && key.notBefore >= key.notAfter) {
+    throw new Error(`Signing key ${keyId}: notBefore must be earlier than notAfter`);
+  }
+  return Object.freeze(key);
+}
+
+function inWindow(key, now) {
+  const time = now.toISOString();
+  return (!key.notBefore || key.notBefore <= time) && (!key.notAfter || time < key.notAfter);
+}
+
+// Keys in configuration order. The active key at a given time is the
+// unrevoked key with a private half whose window contains that time; when
+// windows overlap during a rollover, the one that started last wins.
+export function createKeyring(entries, { ephemeral = false } = {}) {
+  const keys = entries.map(parseKeyEntry);
+  const seen = new Set();
+  for (const { keyId } of keys) {
+    if (seen.has(keyId)) throw new Error(`Duplicate signing keyId: ${keyId}`);
+    seen.add(keyId);
+  }
+
+  function findActiveKey(now) {
+    const candidates = keys.filter(key => key.privateKey && !key.revokedAt && inWindow(key, now));
+    candidates.sort((a, b) => (b.notBefore ?? "").localeCompare(a.notBefore ?? ""));
+    return candidates[0] ?? null;
+  }
+
+  return Object.freeze({
+    keys,
+    ephemeral,
+    getKey: (keyId) => keys.find(key => key.keyId === keyId) ?? null,
+    activeKey(now = new Date()) {
+      const key = findActiveKey(now);
+      if (!key) {
+        throw new Error(`SIGNING_KEY_UNAVAILABLE: No signing key is valid at ${now.toISOString()}`);
+      }
+      return key;
+    },
+    // "active" signs new attestations; "pending" and "retired" keys are
+    // published for verification only; "revoked" keys' signatures must be
+    // rejected. null for a keyId this node never had.
+    keyStatus(keyId, now = new Date()) {
+      const key = keys.find(k => k.keyId === keyId);
+      if (!key) return null;
+      if (key.revokedAt) return "revoked";
+      if (key === findActiveKey(now)) return "active";
+      if (key.notBefore && now.toISOString() < key.notBefore) return "pending";
+      return "retired";
+    },
+  });
+}
+
+// Variables holding key material (or where to find it). loadNodeKeyring()
+// deletes them once read so nothing later in the process, sketch workers
+// included, can pick them up from the environment.
+const SIGNING_KEY_ENV_VARS = ["NEXART_SIGNING_KEY", "NEXART_SIGNING_KEY_FILE", "NEXART_SIGNING_KEYS", "NEXART_SIGNING_KEYS_FILE"];
+
+export function loadNodeKeyring(env = process.env) {
+  try {
+    return readNodeKeyring(env);
+  } finally {
+    for (const name of SIGNING_KEY_ENV_VARS) {
+      delete env[name];
+    }
+  }
+}
+
+function readNodeKeyring(env) {
+  let config = env.NEXART_SIGNING_KEYS;
+  if (!config && env.NEXART_SIGNING_KEYS_FILE) {
+    config = fs.readFileSync(env.NEXART_SIGNING_KEYS_FILE, "utf-8");
+  }
+
+  if (!config) {
+    const { keyId, privateKey, ephemeral } = loadNodeSigningKey(env);
+    return createKeyring([{ keyId, privateKey }], { ephemeral });
+  }
+
+  const entries = JSON.parse(config);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("NEXART_SIGNING_KEYS must be a non-empty JSON array of key entries");
+  }
+  const keyring = createKeyring(entries);
+  if (env.NODE_ENV === "production" && !keyring.keys.some(key => key.privateKey && !key.revokedAt)) {
+    throw new Error("NEXART_SIGNING_KEYS has no unrevoked key with a privateKey");
+  }
+  return keyring;
+}
+
+function signingPayload(document) {
+  const { signature, ...signed } = document;
+  return Buffer.from(canonicalize(signed), "utf-8");
+}
+
+// Returns the document with `keyId` and `signature` (base64url) added
+export function signDocument(document, signingKey) {
+  const withKey = { ...document, keyId: signingKey.keyId };
+  const signature = crypto.sign(null, signingPayload(withKey), signingKey.privateKey).toString("base64url");
+  return { ...withKey, signature };
+}
+
+export function verifyDocumentSignature(document, publicKey) {
+  if (typeof document?.signature !== "string") return false;
+  return crypto.verify(null, signingPayload(document), publicKey, Buffer.from(document.signature, "base64url"));
+}
+
+// Signs with the key active at the attestation's attestedAt
+export function signAttestation(attestation, keyring) {
+  const at = attestation.attestedAt ? new Date(attestation.attestedAt) : new Date();
+  return signDocument(attestation, keyring.activeKey(at));
+}
+
+// A signature is only trusted if the key is published, not revoked, and the
+// attestation was issued inside the key's window
+export function verifyAttestationSignature(attestation, keyring) {
+  const key = keyring.getKey(attestation?.keyId);
+  if (!key || key.revokedAt || !verifyDocumentSignature(attestation, key.publicKey)) return false;
+  return !attestation.attestedAt || inWindow(key, new Date(attestation.attestedAt));
+}
+
+// Body of /.well-known/nexart-keys.json
+export function describeNodeKeys(keyring, now = new Date()) {
+  return {
+    keys: keyring.keys.map(key => ({
+      keyId: key.keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      publicKey: encodePublicKey(key.publicKey),
+      status: keyring.keyStatus(key.keyId, now),
+      notBefore: key.notBefore,
+      notAfter: key.notAfter,
+      revokedAt: key.revokedAt ?? undefined,
+    })),
+  };
+}
+
+// Body of /.well-known/nexart-revocations.json, signed by the active key so a
+// cached or relayed copy can be checked against the key set
+export function buildRevocationList(keyring, now = new Date()) {
+  return signDocument({
+    type: REVOCATION_LIST_TYPE,
+    issuedAt: now.toISOString(),
+    revoked: keyring.keys
+      .filter(key => key.revokedAt)
+      .map(({ keyId, revokedAt, revocationReason }) => ({ keyId, revokedAt, reason: revocationReason })),
+  }, keyring.activeKey(now));
+}
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import { canonicalize } from "./attest.js";
+
+// Rasterizer-independent determinism proof. Every drawing, style and
+// transform call the sketch makes is serialized as one canonical JSON line,
+// [target, name, ...args], and the lines are hashed in order after a scheme
+// header line. The hash only depends on what the sketch asked for, not on how
+// cairo antialiased it, so it survives rasterizer upgrades that change every
+// PNG hash.
+//
+// Only calls made by the sketch are recorded: calls the runtime makes
+// internally while handling one (textFont() -> textSize(), ...) are not.
+// Pixel reads (get(), loadPixels()) feed rasterized output back into the
+// sketch; for sketches that draw with what they read, the stream is only as
+// rasterizer-independent as those reads.
+export const OP_STREAM_SCHEME = "nexart.opstream.v1";
+
+export const RECORDED_OPS = Object.freeze([
+  // Shapes and text
+  "background", "clear",
+  "ellipse", "circle", "rect", "square", "line", "point", "triangle", "quad",
+  "arc", "bezier", "curve", "polygon", "star",
+  "beginShape", "vertex", "curveVertex", "bezierVertex", "endShape",
+  "text",
+  // Style
+  "fill", "noFill", "stroke", "noStroke", "strokeWeight", "strokeCap", "strokeJoin",
+  "colorMode", "rectMode", "ellipseMode", "imageMode", "blendMode",
+  "textFont", "textSize", "textStyle", "textAlign", "textLeading", "textWrap",
+  // Transforms and state
+  "push", "pop", "translate", "rotate", "scale", "shearX", "shearY",
+  "applyMatrix", "resetMatrix",
+  // Pixels, buffers and images
+  "loadPixels", "updatePixels", "set", "filter", "image",
+  "createGraphics", "loadImage",
+]);
+
+// Numbers keep their exact JSON form; non-finite values, which canonical JSON
+// rejects, become strings. Runtimes (buffers, loaded images) are referenced by
+// their stream target and pixel data by its SHA-256.
+function encodeArg(value, targets) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : String(value);
+  if (typeof value === "string" || typeof value === "boolean") return value;
+  if (typeof value === "function") return "function";
+  if (Array.isArray(value)) return value.map(item => encodeArg(item, targets));
+  if (targets.has(value)) return { target: targets.get(value) };
+  if (ArrayBuffer.isView(value)) {
+    const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    return { sha256: crypto.createHash("sha256").update(bytes).digest("hex") };
+  }
+  return Object.fromEntries(Object.keys(value).map(key => [key, encodeArg(value[key], targets)]));
+}
+
+export function createOpStream() {
+  const hash = crypto.createHash("sha256").update(`${OP_STREAM_SCHEME}\n`);
+  const targets = new WeakMap();
+  let opCount = 0;
+  let depth = 0;
+
+  const write = (entry) => {
+    hash.update(canonicalize(entry));
+    hash.update("\n");
+    opCount++;
+  };
+
+  return {
+    // Wraps the recorded functions of a runtime; `target` names it in the
+    // stream ("main", "graphics:1", "asset:sha256:...").
+    instrument(p, target) {
+      targets.set(p, target);
+      for (const name of RECORDED_OPS) {
+        const original = p[name];
+        if (typeof original !== "function") continue;
+        p[name] = (...args) => {
+          if (depth === 0) {
+            write([target, name, ...args.map(arg => encodeArg(arg, targets))]);
+          }
+          depth++;
+          try {
+            return original(...args);
+          } finally {
+            depth--;
+          }
+        };
+      }
+    },
+    // Structural markers from the executor, e.g. ["setup"] or ["draw", 3]
+    mark(...entry) {
+      write(entry);
+    },
+    digest() {
+      return { opStreamHash: hash.digest("hex"), opCount };
+    },
+  };
+}
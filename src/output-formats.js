@@ -0,0 +1,27 @@
+// Static-render outputs selectable via `execution.output`. PNG is the
+// canonical artifact every hash, certificate and /verify check refers to.
+// SVG and PDF are vector renditions replayed from the recorded display list
+// (see vector-output.js); they come with their own hashes but are NOT
+// canonical: their bytes depend on the cairo build, and pixel operations and
+// images are embedded as rasters.
+export const OUTPUT_FORMATS = Object.freeze({
+  png: Object.freeze({ mime: "image/png", canonical: true }),
+  svg: Object.freeze({ mime: "image/svg+xml", canonical: false, surface: "svg" }),
+  pdf: Object.freeze({ mime: "application/pdf", canonical: false, surface: "pdf" }),
+});
+
+export const DEFAULT_OUTPUT_FORMAT = "png";
+
+// `mode` is the render mode the output is requested for; vector output is
+// only recorded for static renders.
+export function resolveOutputFormat(output, mode = "static") {
+  const id = output ?? DEFAULT_OUTPUT_FORMAT;
+  if (typeof id !== "string" || !Object.hasOwn(OUTPUT_FORMATS, id)) {
+    throw new Error(`PROTOCOL_VIOLATION: Unsupported output format: ${id}. Supported: ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+  }
+  const spec = OUTPUT_FORMATS[id];
+  if (!spec.canonical && mode !== "static") {
+    throw new Error(`PROTOCOL_VIOLATION: ${id} output is only available for static renders, not ${mode} mode`);
+  }
+  return { id, ...spec };
+}
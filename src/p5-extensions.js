@@ -1,12 +1,40 @@
-export function extendP5Runtime(p, canvas) {
+import { DEFAULT_FONT_FAMILY, resolveFontFamily, approvedFontNames } from "./fonts.js";
+import { applyFilter } from "./pixel-filters.js";
+
+// Canvas behind every extended runtime, so image() can only composite real
+// createGraphics()/loadImage() images and never an object the sketch built itself.
+const runtimeCanvases = new WeakMap();
+
+// `createGraphics` builds an offscreen runtime and `loadImage` returns one
+// holding a snapshot asset (see sketch-runtime.js); without them, those
+// functions are unavailable. `canvasProfile` is the protocol runtime's canvas
+// profile; only one with a `fontSet` gets the pinned text API.
+export function extendP5Runtime(p, canvas, { createGraphics, loadImage, canvasProfile } = {}) {
   const ctx = canvas.getContext("2d");
+  const pinnedFonts = Boolean(canvasProfile?.fontSet);
   let rectModeValue = "corner";
   let ellipseModeValue = "center";
+  let imageModeValue = "corner";
+  runtimeCanvases.set(p, canvas);
   
   p.createCanvas = () => {
     throw new Error("PROTOCOL_VIOLATION: createCanvas() is not allowed. Canvas is hard-locked to 1950x2400 by NexArt Protocol.");
   };
   
+  p.createGraphics = (w, h) => {
+    if (!createGraphics) {
+      throw new Error("PROTOCOL_VIOLATION: createGraphics() is not available in this runtime.");
+    }
+    return createGraphics(w, h);
+  };
+  
+  p.loadImage = (hash) => {
+    if (!loadImage) {
+      throw new Error("PROTOCOL_VIOLATION: loadImage() is not available in this runtime.");
+    }
+    return loadImage(hash);
+  };
+  
   p.strokeCap = (cap) => {
     const capMap = { round: "round", square: "butt", project: "square" };
     ctx.lineCap = capMap[cap] || cap || "round";
@@ -61,6 +89,37 @@ export function extendP5Runtime(p, canvas) {
     originalEllipse(ex, ey, ew, eh);
   };
   
+  p.imageMode = (mode) => {
+    imageModeValue = mode || "corner";
+  };
+  
+  // image(img, x, y, w?, h?) or image(img, dx, dy, dw, dh, sx, sy, sw?, sh?),
+  // where img comes from createGraphics() or loadImage().
+  // Drawn with the current transform and blend mode, as in p5.
+  p.image = (source, x, y, w, h, sx, sy, sw, sh) => {
+    const sourceCanvas = runtimeCanvases.get(source);
+    if (!sourceCanvas) {
+      throw new Error("PROTOCOL_VIOLATION: image() source must be a buffer returned by createGraphics() or loadImage()");
+    }
+    const hasSourceRect = sx !== undefined;
+    let dw = w ?? (hasSourceRect ? sw ?? sourceCanvas.width - sx : sourceCanvas.width);
+    let dh = h ?? (hasSourceRect ? sh ?? sourceCanvas.height - sy : sourceCanvas.height);
+    let dx = x, dy = y;
+    if (imageModeValue === "center") {
+      dx = x - dw / 2;
+      dy = y - dh / 2;
+    } else if (imageModeValue === "corners" && w !== undefined) {
+      dw = w - x;
+      dh = h - y;
+    }
+  
+    if (hasSourceRect) {
+      ctx.drawImage(sourceCanvas, sx, sy, sw ?? sourceCanvas.width - sx, sh ?? sourceCanvas.height - sy, dx, dy, dw, dh);
+    } else {
+      ctx.drawImage(sourceCanvas, dx, dy, dw, dh);
+    }
+  };
+  
   p.blendMode = (mode) => {
     const modeMap = {
       "blend": "source-over",
@@ -78,18 +137,181 @@ export function extendP5Runtime(p, canvas) {
     ctx.globalCompositeOperation = modeMap[mode] || mode || "source-over";
   };
   
-  p.textSize = (size) => {
-    ctx.font = `${size}px sans-serif`;
+  // Text state is kept here and rendered into ctx.font, so size, family and
+  // style change independently. With a pinned font set the family is always a
+  // registered protocol font (see fonts.js); canvas profiles without one keep
+  // the original text functions (extendLegacyText).
+  const textState = {
+    family: DEFAULT_FONT_FAMILY,
+    size: 12,
+    style: "normal",
+    leading: 15,
+    wrap: "word",
+    alignX: "left",
+    alignY: "alphabetic",
   };
   
-  p.textAlign = (alignX, alignY) => {
-    ctx.textAlign = alignX || "left";
-    ctx.textBaseline = alignY || "alphabetic";
+  const applyFont = () => {
+    ctx.font = `${textState.style} ${textState.size}px "${textState.family}"`;
   };
   
-  p.text = (str, x, y) => {
-    ctx.fillText(String(str), x, y);
-  };
+  if (pinnedFonts) {
+    applyFont();
+    extendPinnedText(p, ctx, textState, applyFont);
+  } else {
+    extendLegacyText(p, ctx);
+  }
+  
+  // Pixel API, with a `pixels` canvas profile; without one the runtime's own
+  // loadPixels/updatePixels/get/set are left as they were minted. Pixels only
+  // ever move through getImageData/putImageData, which bypass transforms,
+  // blending and antialiasing; filter() runs in pixel-filters.js.
+  // pixelDensity is always 1, so pixels[] is width * height * 4 RGBA bytes.
+  if (canvasProfile?.pixels) {
+    let pixelBuffer = null;
+    p.pixels = [];
+
+    const inCanvas = (x, y) => x >= 0 && y >= 0 && x < canvas.width && y < canvas.height;
+
+    // Colours are normalized by the context's own parser (which accepts every
+    // form fill() produces) and read back as #rrggbb or rgba().
+    const toRgba = (value) => {
+      if (Array.isArray(value)) {
+        return [value[0], value[1] ?? value[0], value[2] ?? value[0], value[3] ?? 255];
+      }
+      const previous = ctx.fillStyle;
+      ctx.fillStyle = typeof value === "string" ? value : p.color(value);
+      const normalized = String(ctx.fillStyle);
+      ctx.fillStyle = previous;
+
+      const hex = normalized.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+      if (hex) {
+        return [parseInt(hex[1], 16), parseInt(hex[2], 16), parseInt(hex[3], 16), 255];
+      }
+      const rgba = normalized.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+      if (rgba) {
+        return [Number(rgba[1]), Number(rgba[2]), Number(rgba[3]), rgba[4] === undefined ? 255 : Math.round(Number(rgba[4]) * 255)];
+      }
+      throw new Error(`set(): unsupported color ${JSON.stringify(value)}`);
+    };
+
+    const readRegion = (x, y, w, h) => {
+      const region = ctx.getImageData(x, y, w, h);
+      return { width: w, height: h, pixels: region.data };
+    };
+
+    p.pixelDensity = () => 1;
+
+    p.loadPixels = () => {
+      pixelBuffer = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      p.pixels = pixelBuffer.data;
+    };
+
+    p.updatePixels = (x = 0, y = 0, w = canvas.width, h = canvas.height) => {
+      if (!pixelBuffer) return;
+      ctx.putImageData(pixelBuffer, 0, 0, x, y, w, h);
+    };
+
+    // get() -> whole canvas, get(x, y) -> [r, g, b, a] ([0, 0, 0, 0] outside
+    // the canvas), get(x, y, w, h) -> region. Regions are { width, height,
+    // pixels } and can be written back with set(x, y, region).
+    p.get = (x, y, w, h) => {
+      if (x === undefined) return readRegion(0, 0, canvas.width, canvas.height);
+      const fx = Math.floor(x);
+      const fy = Math.floor(y);
+      if (w === undefined) {
+        if (!inCanvas(fx, fy)) return [0, 0, 0, 0];
+        return Array.from(ctx.getImageData(fx, fy, 1, 1).data);
+      }
+      return readRegion(fx, fy, Math.floor(w), Math.floor(h));
+    };
+
+    // After loadPixels(), set() writes into pixels[] and shows up on
+    // updatePixels(), as in p5. Without loaded pixels it writes straight to the
+    // canvas, which is what sketches written against the plain runtime expect.
+    p.set = (x, y, value) => {
+      const fx = Math.floor(x);
+      const fy = Math.floor(y);
+      const source = value?.pixels && value.width !== undefined
+        ? value
+        : { width: 1, height: 1, pixels: toRgba(value) };
+
+      if (!pixelBuffer) {
+        const patch = ctx.createImageData(source.width, source.height);
+        patch.data.set(source.pixels);
+        ctx.putImageData(patch, fx, fy);
+        return;
+      }
+
+      for (let row = 0; row < source.height; row++) {
+        for (let col = 0; col < source.width; col++) {
+          if (!inCanvas(fx + col, fy + row)) continue;
+          const from = (row * source.width + col) * 4;
+          const to = ((fy + row) * canvas.width + fx + col) * 4;
+          pixelBuffer.data[to] = source.pixels[from];
+          pixelBuffer.data[to + 1] = source.pixels[from + 1];
+          pixelBuffer.data[to + 2] = source.pixels[from + 2];
+          pixelBuffer.data[to + 3] = source.pixels[from + 3];
+        }
+      }
+    };
+
+    // filter() reads the whole canvas, filters it and writes it back; loaded
+    // pixels[] are refreshed so they match the filtered canvas.
+    p.filter = (mode, param) => {
+      const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      applyFilter(image.data, canvas.width, canvas.height, mode, param);
+      ctx.putImageData(image, 0, 0);
+      if (pixelBuffer) {
+        pixelBuffer = image;
+        p.pixels = image.data;
+      }
+    };
+  }
+
+  // push()/pop() as in p5: the runtime's own push/pop save and restore the
+  // context and its fill/stroke, and with a `pushPop` canvas profile everything
+  // this extension manages (shape and image modes, stroke cap/join, blend mode,
+  // text state) is kept on a parallel stack and re-applied, so it never drifts
+  // from what ctx.restore() put back.
+  if (canvasProfile?.pushPop) {
+    const stateStack = [];
+    const originalPush = p.push.bind(p);
+    const originalPop = p.pop.bind(p);
+
+    p.push = () => {
+      originalPush();
+      stateStack.push({
+        rectMode: rectModeValue,
+        ellipseMode: ellipseModeValue,
+        imageMode: imageModeValue,
+        lineCap: ctx.lineCap,
+        lineJoin: ctx.lineJoin,
+        blendMode: ctx.globalCompositeOperation,
+        text: { ...textState },
+      });
+    };
+
+    p.pop = () => {
+      originalPop();
+      const saved = stateStack.pop();
+      // Unbalanced pop(): like p5, leave the current state untouched
+      if (!saved) return;
+
+      rectModeValue = saved.rectMode;
+      ellipseModeValue = saved.ellipseMode;
+      imageModeValue = saved.imageMode;
+      ctx.lineCap = saved.lineCap;
+      ctx.lineJoin = saved.lineJoin;
+      ctx.globalCompositeOperation = saved.blendMode;
+      if (pinnedFonts) {
+        Object.assign(textState, saved.text);
+        applyFont();
+        ctx.textAlign = textState.alignX;
+        ctx.textBaseline = textState.alignY;
+      }
+    };
+  }
   
   p.BLEND = "blend";
   p.ADD = "add";
@@ -99,6 +321,184 @@ export function extendP5Runtime(p, canvas) {
   p.CORNER = "corner";
   p.CORNERS = "corners";
   p.RADIUS = "radius";
+  p.THRESHOLD = "threshold";
+  p.GRAY = "gray";
+  p.OPAQUE = "opaque";
+  p.INVERT = "invert";
+  p.POSTERIZE = "posterize";
+  p.BLUR = "blur";
+  p.ERODE = "erode";
+  p.DILATE = "dilate";
   
   return p;
 }
+
+// The text API on the pinned font set: textFont() only accepts protocol
+// fonts, and text() handles multi-line strings and text boxes.
+function extendPinnedText(p, ctx, textState, applyFont) {
+  const textStyleMap = {
+    "normal": "normal",
+    "source-over": "normal",
+    "bold": "bold",
+    "italic": "italic",
+    "bold italic": "bold italic",
+  };
+  const textAlignYMap = {
+    "top": "top",
+    "bottom": "bottom",
+    "center": "middle",
+    "baseline": "alphabetic",
+    "alphabetic": "alphabetic",
+  };
+
+  const measureLine = (line) => ctx.measureText(line).width;
+
+  const fontExtents = () => {
+    const baseline = ctx.textBaseline;
+    ctx.textBaseline = "alphabetic";
+    const { emHeightAscent, emHeightDescent } = ctx.measureText("");
+    ctx.textBaseline = baseline;
+    return { ascent: emHeightAscent, descent: emHeightDescent };
+  };
+
+  const wrapParagraph = (paragraph, maxWidth) => {
+    const units = textState.wrap === "char" ? Array.from(paragraph) : paragraph.split(" ");
+    const joiner = textState.wrap === "char" ? "" : " ";
+    const lines = [];
+    let current = "";
+    for (const unit of units) {
+      const candidate = current === "" ? unit : current + joiner + unit;
+      if (current !== "" && measureLine(candidate) > maxWidth) {
+        lines.push(current);
+        current = unit;
+      } else {
+        current = candidate;
+      }
+    }
+    lines.push(current);
+    return lines;
+  };
+
+  const layoutLines = (str, maxWidth) => {
+    const paragraphs = String(str).split("\n");
+    if (maxWidth === undefined) return paragraphs;
+    return paragraphs.flatMap(paragraph => wrapParagraph(paragraph, maxWidth));
+  };
+
+  p.textFont = (font, size) => {
+    if (font === undefined) return textState.family;
+    const family = resolveFontFamily(font);
+    if (!family) {
+      throw new Error(`PROTOCOL_VIOLATION: textFont(${JSON.stringify(String(font))}) is not allowed. Approved fonts: ${approvedFontNames().join(", ")}`);
+    }
+    textState.family = family;
+    if (size !== undefined) {
+      p.textSize(size);
+    }
+    applyFont();
+  };
+
+  p.textSize = (size) => {
+    if (size === undefined) return textState.size;
+    textState.size = Number(size);
+    textState.leading = textState.size * 1.25;
+    applyFont();
+  };
+
+  p.textStyle = (style) => {
+    if (style === undefined) return textState.style;
+    const mapped = textStyleMap[String(style).toLowerCase()];
+    if (mapped) {
+      textState.style = mapped;
+      applyFont();
+    }
+  };
+
+  p.textLeading = (leading) => {
+    if (leading === undefined) return textState.leading;
+    textState.leading = Number(leading);
+  };
+
+  p.textWrap = (mode) => {
+    if (mode === undefined) return textState.wrap;
+    if (mode === "word" || mode === "char") {
+      textState.wrap = mode;
+    }
+  };
+
+  p.textWidth = (str) => {
+    return Math.max(...String(str).split("\n").map(measureLine));
+  };
+
+  p.textAscent = () => fontExtents().ascent;
+
+  p.textDescent = () => fontExtents().descent;
+
+  p.textAlign = (alignX, alignY) => {
+    if (alignX === undefined) {
+      return { horizontal: textState.alignX, vertical: textState.alignY };
+    }
+    textState.alignX = alignX || "left";
+    if (alignY !== undefined) {
+      textState.alignY = textAlignYMap[alignY] || "alphabetic";
+    }
+    ctx.textAlign = textState.alignX;
+    ctx.textBaseline = textState.alignY;
+  };
+
+  // text(str, x, y) draws at a point; multi-line strings advance by
+  // textLeading(). text(str, x, y, w, h) lays the text out in a box: lines
+  // wrap at w per textWrap(), alignment is relative to the box and lines that
+  // would overflow h are dropped.
+  p.text = (str, x, y, maxWidth, maxHeight) => {
+    const lines = layoutLines(str, maxWidth);
+    const { leading, alignX, alignY } = textState;
+
+    if (maxWidth === undefined) {
+      const shift = alignY === "bottom" ? (lines.length - 1) * leading
+        : alignY === "middle" ? (lines.length - 1) * leading / 2 : 0;
+      lines.forEach((line, i) => ctx.fillText(line, x, y - shift + i * leading));
+      return;
+    }
+
+    const { ascent, descent } = fontExtents();
+    const lineX = alignX === "center" ? x + maxWidth / 2 : alignX === "right" ? x + maxWidth : x;
+    const blockHeight = ascent + descent + (lines.length - 1) * leading;
+    let top = y;
+    if (maxHeight !== undefined && alignY === "middle") top = y + (maxHeight - blockHeight) / 2;
+    if (maxHeight !== undefined && alignY === "bottom") top = y + maxHeight - blockHeight;
+
+    ctx.save();
+    ctx.textBaseline = "alphabetic";
+    lines.forEach((line, i) => {
+      const baseline = top + ascent + i * leading;
+      if (maxHeight !== undefined && baseline + descent > y + maxHeight) return;
+      ctx.fillText(line, lineX, baseline);
+    });
+    ctx.restore();
+  };
+
+  p.BOLD = "bold";
+  p.ITALIC = "italic";
+  p.BOLDITALIC = "bold italic";
+  p.WORD = "word";
+  p.CHAR = "char";
+}
+
+// Text as it was before canvas profiles pinned a font set: the container's
+// sans-serif at node-canvas' default 10px, sized and aligned straight on the
+// context. Everything else comes from the SDK runtime.
+function extendLegacyText(p, ctx) {
+  p.textSize = (size) => {
+    ctx.font = `${size}px sans-serif`;
+  };
+
+  p.textAlign = (alignX, alignY) => {
+    ctx.textAlign = alignX || "left";
+    ctx.textBaseline = alignY || "alphabetic";
+  };
+
+  p.text = (str, x, y) => {
+    ctx.fillText(String(str), x, y);
+  };
+}
@@ -0,0 +1,136 @@
+// Mismatch report for /verify. Differing pixels are grouped into regions by
+// flood-filling over a coarse tile grid, which keeps region detection linear
+// in the pixel count; each region's box is then tightened to its pixels.
+export const DIFF_TILE_SIZE = 32;
+export const MAX_DIFF_REGIONS = 16;
+
+function pixelDelta(expected, actual, offset) {
+  return Math.max(
+    Math.abs(expected[offset] - actual[offset]),
+    Math.abs(expected[offset + 1] - actual[offset + 1]),
+    Math.abs(expected[offset + 2] - actual[offset + 2]),
+    Math.abs(expected[offset + 3] - actual[offset + 3]),
+  );
+}
+
+function collectRegions(tileBounds, tileCounts, tilesX, tilesY) {
+  const visited = new Uint8Array(tileCounts.length);
+  const regions = [];
+
+  for (let start = 0; start < tileCounts.length; start++) {
+    if (tileCounts[start] === 0 || visited[start]) continue;
+
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1, changedPixels = 0;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      minX = Math.min(minX, tileBounds[tile * 4]);
+      minY = Math.min(minY, tileBounds[tile * 4 + 1]);
+      maxX = Math.max(maxX, tileBounds[tile * 4 + 2]);
+      maxY = Math.max(maxY, tileBounds[tile * 4 + 3]);
+      changedPixels += tileCounts[tile];
+
+      const tx = tile % tilesX;
+      const ty = (tile - tx) / tilesX;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = tx + dx;
+          const ny = ty + dy;
+          if (nx < 0 || ny < 0 || nx >= tilesX || ny >= tilesY) continue;
+          const neighbor = ny * tilesX + nx;
+          if (tileCounts[neighbor] > 0 && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    regions.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1, changedPixels });
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels || a.y - b.y || a.x - b.x);
+}
+
+// Compares two unpremultiplied RGBA buffers of the same size. The heatmap is
+// an RGBA buffer: unchanged pixels are a dimmed greyscale of the computed
+// image, changed pixels run from yellow (small delta) to red (delta 255).
+export function diffRgba(expected, actual, width, height) {
+  const byteLength = width * height * 4;
+  if (expected.length !== byteLength || actual.length !== byteLength) {
+    throw new Error(`diffRgba: RGBA buffers must be ${byteLength} bytes for ${width}x${height}`);
+  }
+
+  const tilesX = Math.ceil(width / DIFF_TILE_SIZE);
+  const tilesY = Math.ceil(height / DIFF_TILE_SIZE);
+  const tileCounts = new Uint32Array(tilesX * tilesY);
+  const tileBounds = new Int32Array(tilesX * tilesY * 4);
+  const heatmap = new Uint8ClampedArray(byteLength);
+  let changedPixels = 0;
+  let maxChannelDelta = 0;
+
+  for (let y = 0; y < height; y++) {
+    const tileRow = Math.floor(y / DIFF_TILE_SIZE) * tilesX;
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const delta = pixelDelta(expected, actual, offset);
+
+      if (delta === 0) {
+        const grey = (actual[offset] * 0.299 + actual[offset + 1] * 0.587 + actual[offset + 2] * 0.114) * 0.25;
+        heatmap[offset] = grey;
+        heatmap[offset + 1] = grey;
+        heatmap[offset + 2] = grey;
+        heatmap[offset + 3] = 255;
+        continue;
+      }
+
+      changedPixels++;
+      if (delta > maxChannelDelta) maxChannelDelta = delta;
+      heatmap[offset] = 255;
+      heatmap[offset + 1] = 255 - delta;
+      heatmap[offset + 2] = 0;
+      heatmap[offset + 3] = 255;
+
+      const tile = tileRow + Math.floor(x / DIFF_TILE_SIZE);
+      const b = tile * 4;
+      if (tileCounts[tile] === 0) {
+        tileBounds[b] = x;
+        tileBounds[b + 1] = y;
+        tileBounds[b + 2] = x;
+        tileBounds[b + 3] = y;
+      } else {
+        if (x < tileBounds[b]) tileBounds[b] = x;
+        if (x > tileBounds[b + 2]) tileBounds[b + 2] = x;
+        tileBounds[b + 3] = y;
+      }
+      tileCounts[tile]++;
+    }
+  }
+
+  const regions = collectRegions(tileBounds, tileCounts, tilesX, tilesY);
+  const totalPixels = width * height;
+
+  return {
+    width,
+    height,
+    totalPixels,
+    changedPixels,
+    changedPercent: Number(((changedPixels / totalPixels) * 100).toFixed(4)),
+    maxChannelDelta,
+    regionCount: regions.length,
+    regions: regions.slice(0, MAX_DIFF_REGIONS),
+    heatmap,
+  };
+}
+
+// Index of the first frame whose hash differs, or null when the manifests
+// agree. A length mismatch diverges at the end of the shorter manifest.
+export function findFirstDivergentFrame(expectedFrameHashes, computedFrameHashes) {
+  const shared = Math.min(expectedFrameHashes.length, computedFrameHashes.length);
+  for (let i = 0; i < shared; i++) {
+    if (expectedFrameHashes[i] !== computedFrameHashes[i]) return i;
+  }
+  return expectedFrameHashes.length === computedFrameHashes.length ? null : shared;
+}
@@ -0,0 +1,164 @@
+// filter() for the p5 runtime, in plain integer JavaScript over an
+// unpremultiplied RGBA buffer. Nothing here goes through cairo, so a filter
+// produces the same bytes on every replica. The arithmetic follows p5.js'
+// CPU filters (Filters.js) so sketches ported from p5 look the same.
+export const FILTER_MODES = Object.freeze(["threshold", "gray", "opaque", "invert", "posterize", "blur", "erode", "dilate"]);
+
+const MAX_BLUR_RADIUS = 248;
+
+function luminance(data, offset) {
+  return 77 * data[offset] + 151 * data[offset + 1] + 28 * data[offset + 2];
+}
+
+function threshold(data, level = 0.5) {
+  if (typeof level !== "number" || !(level >= 0 && level <= 1)) {
+    throw new Error(`filter(THRESHOLD): level must be between 0 and 1, got ${level}`);
+  }
+  const cutoff = Math.floor(level * 255);
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    const value = gray >= cutoff ? 255 : 0;
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+  }
+}
+
+function gray(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const value = luminance(data, i) >> 8;
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+  }
+}
+
+function opaque(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = 255;
+  }
+}
+
+function invert(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i];
+    data[i + 1] = 255 - data[i + 1];
+    data[i + 2] = 255 - data[i + 2];
+  }
+}
+
+function posterize(data, levels) {
+  if (!Number.isInteger(levels) || levels < 2 || levels > 255) {
+    throw new Error(`filter(POSTERIZE): levels must be an integer between 2 and 255, got ${levels}`);
+  }
+  const steps = levels - 1;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = Math.floor(((data[i] * levels) >> 8) * 255 / steps);
+    data[i + 1] = Math.floor(((data[i + 1] * levels) >> 8) * 255 / steps);
+    data[i + 2] = Math.floor(((data[i + 2] * levels) >> 8) * 255 / steps);
+  }
+}
+
+// Integer kernel with weights (r - |d|)^2 for |d| < r, where r = radius * 3.5
+// as in p5. Weights and sums stay integral, and samples outside the canvas
+// are dropped rather than clamped.
+function blurKernel(radius) {
+  const r = Math.min(Math.max(Math.floor(radius * 3.5), 1), MAX_BLUR_RADIUS);
+  const weights = [];
+  for (let d = -(r - 1); d <= r - 1; d++) {
+    weights.push((r - Math.abs(d)) ** 2);
+  }
+  return { reach: r - 1, weights };
+}
+
+function blurPass(source, target, width, height, kernel, horizontal) {
+  const { reach, weights } = kernel;
+  const limit = horizontal ? width : height;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const position = horizontal ? x : y;
+      let r = 0, g = 0, b = 0, a = 0, total = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const sample = position - reach + k;
+        if (sample < 0 || sample >= limit) continue;
+        const offset = horizontal ? (y * width + sample) * 4 : (sample * width + x) * 4;
+        const weight = weights[k];
+        r += source[offset] * weight;
+        g += source[offset + 1] * weight;
+        b += source[offset + 2] * weight;
+        a += source[offset + 3] * weight;
+        total += weight;
+      }
+      const out = (y * width + x) * 4;
+      target[out] = Math.floor(r / total);
+      target[out + 1] = Math.floor(g / total);
+      target[out + 2] = Math.floor(b / total);
+      target[out + 3] = Math.floor(a / total);
+    }
+  }
+}
+
+function blur(data, width, height, radius = 1) {
+  if (typeof radius !== "number" || !(radius >= 0)) {
+    throw new Error(`filter(BLUR): radius must be a non-negative number, got ${radius}`);
+  }
+  const kernel = blurKernel(radius);
+  if (kernel.reach === 0) return;
+
+  const scratch = new Uint8ClampedArray(data.length);
+  blurPass(data, scratch, width, height, kernel, true);
+  blurPass(scratch, data, width, height, kernel, false);
+}
+
+// ERODE/DILATE: each pixel takes the darkest/brightest of itself and its four
+// edge neighbours, by luminance, checked left, right, up, down.
+function morph(data, width, height, brighter) {
+  const source = Uint8ClampedArray.from(data);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      let best = index * 4;
+      let bestLum = luminance(source, best);
+      const neighbours = [
+        x > 0 ? index - 1 : index,
+        x < width - 1 ? index + 1 : index,
+        y > 0 ? index - width : index,
+        y < height - 1 ? index + width : index,
+      ];
+      for (const neighbour of neighbours) {
+        const lum = luminance(source, neighbour * 4);
+        if (brighter ? lum > bestLum : lum < bestLum) {
+          best = neighbour * 4;
+          bestLum = lum;
+        }
+      }
+      const out = index * 4;
+      data[out] = source[best];
+      data[out + 1] = source[best + 1];
+      data[out + 2] = source[best + 2];
+      data[out + 3] = source[best + 3];
+    }
+  }
+}
+
+// Applies a filter in place to an RGBA buffer of width x height pixels.
+export function applyFilter(data, width, height, mode, param) {
+  if (data.length !== width * height * 4) {
+    throw new Error(`applyFilter: RGBA buffer must be ${width * height * 4} bytes for ${width}x${height}`);
+  }
+
+  switch (mode) {
+    case "threshold": return threshold(data, param);
+    case "gray": return gray(data);
+    case "opaque": return opaque(data);
+    case "invert": return invert(data);
+    case "posterize": return posterize(data, param);
+    case "blur": return blur(data, width, height, param);
+    case "erode": return morph(data, width, height, false);
+    case "dilate": return morph(data, width, height, true);
+    default:
+      throw new Error(`filter(): unknown filter mode ${JSON.stringify(mode)}. Supported: ${FILTER_MODES.join(", ")}`);
+  }
+}
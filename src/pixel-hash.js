@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+// Canonical pixel hash: SHA-256 over an explicit header followed by the raw,
+// unpremultiplied RGBA pixels (row-major, top-left origin). Independent of the
+// PNG encoder, so it survives node-canvas/libpng/zlib upgrades.
+export const PIXEL_HASH_SCHEME = "nexart.pixels.v1";
+export const PIXEL_FORMAT = "rgba8";
+
+export function pixelHashHeader(width, height) {
+  return Buffer.from(`${PIXEL_HASH_SCHEME}:${PIXEL_FORMAT}:${width}x${height}\n`, "ascii");
+}
+
+export function computePixelHashFromRgba(data, width, height) {
+  if (data.length !== width * height * 4) {
+    throw new Error(`RGBA buffer length ${data.length} does not match ${width}x${height}`);
+  }
+  return crypto.createHash("sha256")
+    .update(pixelHashHeader(width, height))
+    .update(data)
+    .digest("hex");
+}
+
+export function computePixelHash(canvas) {
+  const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  return computePixelHashFromRgba(data, canvas.width, canvas.height);
+}
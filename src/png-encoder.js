@@ -0,0 +1,24 @@
+import { Canvas } from "canvas";
+import { PNG_ENCODING_PROFILE, LEGACY_PNG_ENCODING_PROFILE, normalizePngChunks } from "./png-profile.js";
+
+// Encodes a canvas with one of the profiles in png-profile.js. Kept apart from
+// the profile definitions because it loads the native canvas binding: only
+// render workers import this module.
+const PNG_FILTERS = {
+  paeth: Canvas.PNG_FILTER_PAETH,
+};
+
+export function encodePng(canvas, profileId = PNG_ENCODING_PROFILE.id) {
+  if (profileId === LEGACY_PNG_ENCODING_PROFILE.id) {
+    return canvas.toBuffer("image/png");
+  }
+  if (profileId !== PNG_ENCODING_PROFILE.id) {
+    throw new Error(`Unknown PNG encoding profile: ${profileId}`);
+  }
+
+  const png = canvas.toBuffer("image/png", {
+    compressionLevel: PNG_ENCODING_PROFILE.compressionLevel,
+    filters: PNG_FILTERS[PNG_ENCODING_PROFILE.filter],
+  });
+  return normalizePngChunks(png);
+}
@@ -0,0 +1,93 @@
+// Versioned PNG encoding profiles; each protocol runtime names the one its
+// renders use (see protocol-runtimes.js). nexart.png.v1 encodes with the same
+// zlib level and a single fixed row filter (no libpng adaptive heuristics),
+// then rewrites the file to carry only critical chunks plus an explicit sRGB
+// chunk. Bump the id whenever any of these parameters change.
+export const PNG_ENCODING_PROFILE = Object.freeze({
+  id: "nexart.png.v1",
+  compressionLevel: 6,
+  filter: "paeth",
+  colorSpace: "sRGB",
+  renderingIntent: "perceptual",
+  chunks: Object.freeze(["IHDR", "sRGB", "IDAT", "IEND"]),
+});
+
+// node-canvas' toBuffer() defaults, which every render used before
+// nexart.png.v1 existed: libpng's adaptive row filters and whatever ancillary
+// chunks it writes. Protocol 1.0.0-1.2.0 keep it so their PNG hashes still
+// match the ones already minted.
+export const LEGACY_PNG_ENCODING_PROFILE = Object.freeze({
+  id: "nexart.png.legacy",
+  compressionLevel: 6,
+  filter: "adaptive",
+  colorSpace: null,
+  renderingIntent: null,
+  chunks: null,
+});
+
+export const PNG_ENCODING_PROFILES = Object.freeze({
+  [LEGACY_PNG_ENCODING_PROFILE.id]: LEGACY_PNG_ENCODING_PROFILE,
+  [PNG_ENCODING_PROFILE.id]: PNG_ENCODING_PROFILE,
+});
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const KEPT_CHUNKS = new Set(["IHDR", "PLTE", "tRNS", "IDAT", "IEND"]);
+const SRGB_PERCEPTUAL = 0;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "ascii");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// Drops every ancillary chunk (tIME, gAMA, cHRM, pHYs, tEXt, ...) and inserts
+// a single sRGB chunk after IHDR. IDAT payloads are copied byte-for-byte.
+export function normalizePngChunks(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("normalizePngChunks: input is not a PNG");
+  }
+
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (KEPT_CHUNKS.has(type)) {
+      parts.push(png.subarray(offset, end));
+    }
+    if (type === "IHDR") {
+      parts.push(buildChunk("sRGB", Buffer.from([SRGB_PERCEPTUAL])));
+    }
+
+    offset = end;
+    if (type === "IEND") break;
+  }
+
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import { SDK_VERSION as SDK_VERSION_FROM_SDK } from "@nexart/codemode-sdk/node";
+import { canonicalize } from "./attest.js";
+import { FONT_SET_ID, FONT_SET_HASH } from "./fonts.js";
+import { PNG_ENCODING_PROFILE, LEGACY_PNG_ENCODING_PROFILE } from "./png-profile.js";
+import { PIXEL_HASH_SCHEME } from "./pixel-hash.js";
+import { deriveSeed } from "./seed.js";
+import { zeroFillVars } from "./vars.js";
+
+// One registered runtime per supported protocol version. A render selects its
+// runtime by protocolVersion and gets that version's seed derivation, VAR
+// normalization, API surface and canvas profile, so pinning "1.0.0" renders
+// with 1.0.0 semantics rather than whatever the newest runtime does. Changes to
+// how the node draws or encodes land in a new canvas profile for a new
+// protocol version; existing versions keep producing the bytes they always did.
+//
+// The SDK runtime always exposes the newest API. Older versions are built by
+// removing what later versions added (see the SDK changelog for protocol 1.1.0
+// and 1.2.0; 1.3.0 adds this node's own extensions), so a 1.0.0 sketch that declares its own star() or sign() calls
+// its own function, as it did under 1.0.0.
+
+const SDK_VERSION = SDK_VERSION_FROM_SDK || "1.8.4";
+
+// Every canvas profile renders at this size
+export const CANVAS_SIZE = Object.freeze({ width: 1950, height: 2400 });
+
+// nexart.canvas.v1 is how 1.0.0-1.2.0 have always rendered, so their PNGs
+// still hash to what was minted. nexart.canvas.v2 encodes with the pinned PNG
+// profile, draws text with the pinned font set (fonts.js), has push()/pop()
+// restore the state p5-extensions.js manages as well as the context, and
+// replaces the runtime's pixel functions with p5's pixels[] semantics.
+export const CANVAS_PROFILES = Object.freeze({
+  "nexart.canvas.v1": Object.freeze({
+    id: "nexart.canvas.v1",
+    ...CANVAS_SIZE,
+    pngProfile: LEGACY_PNG_ENCODING_PROFILE.id,
+    pixelHashScheme: PIXEL_HASH_SCHEME,
+    fontSet: null,
+    fontSetHash: null,
+    pushPop: null,
+    pixels: null,
+  }),
+  "nexart.canvas.v2": Object.freeze({
+    id: "nexart.canvas.v2",
+    ...CANVAS_SIZE,
+    pngProfile: PNG_ENCODING_PROFILE.id,
+    pixelHashScheme: PIXEL_HASH_SCHEME,
+    fontSet: FONT_SET_ID,
+    fontSetHash: FONT_SET_HASH,
+    pushPop: "nexart.pushpop.v1",
+    pixels: "nexart.pixelapi.v1",
+  }),
+});
+
+// Runtime names each protocol version added on top of the previous one
+const API_EXTENSIONS = Object.freeze({
+  "nexart.api.v1.0": [],
+  "nexart.api.v1.1": [
+    "fract", "sign",
+    "vec", "vecAdd", "vecSub", "vecMult", "vecMag", "vecNorm", "vecDist",
+    "polygon", "star",
+    "blendMode", "NORMAL", "BLEND", "ADD", "MULTIPLY", "SCREEN",
+    "fbm", "ridgedNoise", "curlNoise",
+    "easeIn", "easeOut", "easeInOut", "easeCubic", "easeExpo",
+  ],
+  "nexart.api.v1.2": [
+    "curveVertex", "bezierVertex",
+    "loadPixels", "updatePixels", "pixels", "pixelDensity", "get", "set",
+    "createGraphics", "image",
+  ],
+  "nexart.api.v1.3": [
+    "filter", "THRESHOLD", "GRAY", "OPAQUE", "INVERT", "POSTERIZE", "BLUR", "ERODE", "DILATE",
+    "loadImage", "imageMode",
+    "textStyle", "textLeading", "textWrap", "textAscent", "textDescent",
+    "BOLD", "ITALIC", "BOLDITALIC", "WORD", "CHAR",
+  ],
+});
+
+// The extension that adds each name
+const API_NAME_EXTENSIONS = new Map(Object.entries(API_EXTENSIONS)
+  .flatMap(([id, names]) => names.map(name => [name, id])));
+
+// Each returns { normalizedVars, changes } (see vars.js)
+const VAR_NORMALIZATIONS = Object.freeze({
+  "nexart.vars.zerofill.v1": zeroFillVars,
+});
+
+function defineRuntime({ protocolVersion, seedDerivation, varNormalization, extensions, canvasProfile }) {
+  const available = new Set(extensions);
+  const removedNames = Object.keys(API_EXTENSIONS)
+    .filter(id => !available.has(id))
+    .flatMap(id => API_EXTENSIONS[id]);
+
+  const description = {
+    protocolVersion,
+    sdkVersion: SDK_VERSION,
+    seedDerivation,
+    varNormalization,
+    extensions,
+    canvas: CANVAS_PROFILES[canvasProfile],
+  };
+
+  return Object.freeze({
+    ...description,
+    fingerprint: crypto.createHash("sha256").update(canonicalize(description)).digest("hex"),
+    deriveSeed: (seed) => deriveSeed(seed, seedDerivation),
+    normalizeVars: VAR_NORMALIZATIONS[varNormalization],
+    // Removes the names this version does not have from a built runtime
+    restrictApi(p) {
+      for (const name of removedNames) delete p[name];
+    },
+    // The extension that adds `name` when this version lacks it, else null
+    missingApi(name) {
+      const extension = API_NAME_EXTENSIONS.get(name);
+      return extension && !available.has(extension) ? extension : null;
+    },
+  });
+}
+
+export const PROTOCOL_RUNTIMES = Object.freeze(Object.fromEntries([
+  defineRuntime({
+    protocolVersion: "1.0.0",
+    seedDerivation: "nexart.seed.fold31",
+    varNormalization: "nexart.vars.zerofill.v1",
+    extensions: ["nexart.api.v1.0"],
+    canvasProfile: "nexart.canvas.v1",
+  }),
+  defineRuntime({
+    protocolVersion: "1.1.0",
+    seedDerivation: "nexart.seed.fold31",
+    varNormalization: "nexart.vars.zerofill.v1",
+    extensions: ["nexart.api.v1.0", "nexart.api.v1.1"],
+    canvasProfile: "nexart.canvas.v1",
+  }),
+  defineRuntime({
+    protocolVersion: "1.2.0",
+    seedDerivation: "nexart.seed.fold31",
+    varNormalization: "nexart.vars.zerofill.v1",
+    extensions: ["nexart.api.v1.0", "nexart.api.v1.1", "nexart.api.v1.2"],
+    canvasProfile: "nexart.canvas.v1",
+  }),
+  // 1.3.0 changes the seed derivation (the same seed renders a different
+  // artwork than under 1.2.0) and renders with nexart.canvas.v2
+  defineRuntime({
+    protocolVersion: "1.3.0",
+    seedDerivation: "nexart.seed.sha256.v1",
+    varNormalization: "nexart.vars.zerofill.v1",
+    extensions: ["nexart.api.v1.0", "nexart.api.v1.1", "nexart.api.v1.2", "nexart.api.v1.3"],
+    canvasProfile: "nexart.canvas.v2",
+  }),
+].map(runtime => [runtime.protocolVersion, runtime])));
+
+export const SUPPORTED_PROTOCOL_VERSIONS = Object.freeze(Object.keys(PROTOCOL_RUNTIMES));
+
+export function getProtocolRuntime(protocolVersion) {
+  if (!Object.hasOwn(PROTOCOL_RUNTIMES, protocolVersion)) {
+    throw new Error(`PROTOCOL_VIOLATION: Unsupported protocol version: ${protocolVersion}. Supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")}`);
+  }
+  return PROTOCOL_RUNTIMES[protocolVersion];
+}
+
+// The /version listing: everything that defines a runtime, without the
+// functions
+export function describeProtocolRuntimes() {
+  return Object.values(PROTOCOL_RUNTIMES).map(({ deriveSeed, normalizeVars, restrictApi, missingApi, ...description }) => description);
+}
@@ -1,12 +1,16 @@
-import { createCanvas } from "canvas";
 import crypto from "crypto";
-import { spawn } from "child_process";
 import fs from "fs";
 import path from "path";
-import os from "os";
-import { extendP5Runtime } from "./p5-extensions.js";
+import { createSketchRuntime } from "./sketch-runtime.js";
+import { getProtocolRuntime } from "./protocol-runtimes.js";
+import { loadSketch } from "./sketch-loader.js";
+import { encodePng } from "./png-encoder.js";
+import { createVideoEncoder } from "./video-encoder.js";
+import { resolveAnimationFormat } from "./animation-formats.js";
+import { hashFrameRgba, computeFrameRoot, FRAME_HASH_FORMAT } from "./frame-manifest.js";
+import { computePixelHashFromRgba } from "./pixel-hash.js";
+import { loopTimeVariables } from "./loop-timing.js";
 import {
-  createP5Runtime,
   injectTimeVariables,
   injectProtocolVariables
 } from "@nexart/codemode-sdk/node";
@@ -15,174 +19,160 @@ function computeHash(buffer) {
   return crypto.createHash("sha256").update(buffer).digest("hex");
 }
 
+// Builds the loop runtime shared by full renders and single-frame renders:
+// protocol variables and frame-0 time variables are injected before the
+// sketch is evaluated, and draw() is mandatory.
+function prepareLoopSketch({ code, seed, vars = [], assets, protocolVersion, width, height, maxDrawOps }) {
+  const protocolRuntime = getProtocolRuntime(protocolVersion);
+  const { numericSeed, derivedSeed } = protocolRuntime.deriveSeed(seed);
+
+  const { canvas, p, opStream } = createSketchRuntime({ width, height, seed: numericSeed, maxDrawOps, assets, protocolRuntime });
+
+  const { normalizedVars } = protocolRuntime.normalizeVars(vars);
+  
+  injectProtocolVariables(p, normalizedVars);
+
+  injectTimeVariables(p, {
+    frameCount: 0,
+    t: 0,
+    time: 0,
+    tGlobal: 0,
+  });
+
+  const { setup, draw } = loadSketch(code, p);
+  if (!draw) {
+    throw new Error("LOOP_MODE_ERROR: draw() function required for loop mode");
+  }
+
+  return { canvas, p, setup, draw, normalizedVars, numericSeed, derivedSeed, opStream, protocolRuntime };
+}
+
+// `outputDir` is an empty directory owned by the caller, which removes it if
+// the render fails. `onEncoderStart` receives the ffmpeg pid.
 export async function renderLoop(options) {
   const {
-    code,
-    seed,
-    vars = [],
     totalFrames = 120,
     fps = 30,
     width = 1950,
     height = 2400,
+    format,
+    posterFrame = 0,
+    outputDir,
+    onEncoderStart,
   } = options;
 
-  const hasDrawFunction = /function\s+draw\s*\(\s*\)\s*\{/.test(code);
-  if (!hasDrawFunction) {
-    throw new Error("LOOP_MODE_ERROR: draw() function required for loop mode");
-  }
+  const animationFormat = resolveAnimationFormat(format);
+  const { canvas, p, setup, draw, normalizedVars, numericSeed, derivedSeed, opStream, protocolRuntime } = prepareLoopSketch({ ...options, width, height });
 
-  const numericSeed =
-    typeof seed === "string"
-      ? seed.split("").reduce((acc, c) => (acc * 31 + c.charCodeAt(0)) >>> 0, 0)
-      : (seed ?? 0) >>> 0;
+  const animationPath = path.join(outputDir, `output.${animationFormat.extension}`);
+  const encoder = createVideoEncoder({ outputPath: animationPath, fps, width, height, format: animationFormat.id });
+  onEncoderStart?.(encoder.pid);
+  const ctx = canvas.getContext("2d");
+  const frameHashes = [];
+  let posterBuffer = null;
 
-  const canvas = createCanvas(width, height);
-  
-  const p = createP5Runtime(canvas, width, height, { seed: numericSeed });
-  extendP5Runtime(p, canvas);
-
-  const normalizedVars = new Array(10).fill(0);
-  if (Array.isArray(vars)) {
-    for (let i = 0; i < Math.min(vars.length, 10); i++) {
-      const v = vars[i];
-      if (typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 100) {
-        normalizedVars[i] = v;
-      }
+  try {
+    if (setup) {
+      opStream.mark("setup");
+      setup();
     }
-  }
-  
-  injectProtocolVariables(p, normalizedVars);
 
-  const setupMatch = code.match(
-    /function\s+setup\s*\(\s*\)\s*\{([\s\S]*?)\}(?=\s*function|\s*$)/
-  );
-  const setupCode = setupMatch ? setupMatch[1].trim() : "";
-
-  const drawMatch = code.match(
-    /function\s+draw\s*\(\s*\)\s*\{([\s\S]*?)\}(?=\s*function|\s*$)/
-  );
-  const drawCode = drawMatch ? drawMatch[1].trim() : "";
-
-  const wrappedSetup = new Function(
-    "p",
-    "VAR",
-    "frameCount",
-    "t",
-    "time",
-    "tGlobal",
-    `with(p) { ${setupCode} }`
-  );
-
-  const wrappedDraw = new Function(
-    "p",
-    "VAR",
-    "frameCount",
-    "t",
-    "time",
-    "tGlobal",
-    `with(p) { ${drawCode} }`
-  );
-
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "nexart-loop-"));
-  const frames = [];
+    for (let frame = 0; frame < totalFrames; frame++) {
+      injectTimeVariables(p, loopTimeVariables(frame, totalFrames, fps));
+      opStream.mark("draw", frame);
+      draw();
 
-  try {
-    injectTimeVariables(p, {
-      frameCount: 0,
-      t: 0,
-      time: 0,
-      tGlobal: 0,
-    });
-    
-    wrappedSetup(p, p.VAR, 0, 0, 0, 0);
+      const { data } = ctx.getImageData(0, 0, width, height);
+      frameHashes.push(hashFrameRgba(data));
+      await encoder.writeFrame(data);
 
-    for (let frame = 0; frame < totalFrames; frame++) {
-      const t = frame / totalFrames;
-      const time = frame / fps;
-      const tGlobal = t;
-
-      injectTimeVariables(p, {
-        frameCount: frame,
-        t,
-        time,
-        tGlobal,
-      });
-
-      wrappedDraw(p, p.VAR, frame, t, time, tGlobal);
-
-      const framePath = path.join(tempDir, `frame_${String(frame).padStart(6, "0")}.png`);
-      const pngBuffer = canvas.toBuffer("image/png");
-      fs.writeFileSync(framePath, pngBuffer);
-      frames.push(framePath);
-
-      if (frame === 0) {
-        frames.posterBuffer = pngBuffer;
+      if (frame === posterFrame) {
+        posterBuffer = encodePng(canvas, protocolRuntime.canvas.pngProfile);
       }
     }
 
-    const videoPath = path.join(tempDir, "output.mp4");
-    await encodeVideo(tempDir, videoPath, fps, width, height);
-
-    const videoBuffer = fs.readFileSync(videoPath);
-    const animationHash = computeHash(videoBuffer);
-    const animationBase64 = videoBuffer.toString("base64");
-
-    const posterHash = computeHash(frames.posterBuffer);
-    const posterBase64 = frames.posterBuffer.toString("base64");
-
-    return {
-      animationBase64,
-      animationHash,
-      posterBase64,
-      posterHash,
-      frames: totalFrames,
-      width,
-      height,
-      fps,
-    };
-  } finally {
-    try {
-      const files = fs.readdirSync(tempDir);
-      for (const file of files) {
-        fs.unlinkSync(path.join(tempDir, file));
-      }
-      fs.rmdirSync(tempDir);
-    } catch (e) {
-      console.error("Cleanup error:", e);
-    }
+    await encoder.finish();
+  } catch (error) {
+    encoder.abort();
+    throw error;
   }
+
+  const animationHash = await hashFile(animationPath);
+  const { opStreamHash, opCount } = opStream.digest();
+
+  return {
+    // Lives in the caller's outputDir; release it with removeLoopOutput()
+    animationPath,
+    animationHash,
+    format: animationFormat.id,
+    mime: animationFormat.mime,
+    lossless: animationFormat.lossless,
+    posterBase64: posterBuffer.toString("base64"),
+    posterHash: computeHash(posterBuffer),
+    posterFrame,
+    frameManifest: {
+      format: FRAME_HASH_FORMAT,
+      frameHashes,
+    },
+    frameRoot: computeFrameRoot(frameHashes),
+    opStreamHash,
+    opCount,
+    frames: totalFrames,
+    normalizedVars,
+    numericSeed,
+    derivedSeed,
+    width,
+    height,
+    fps,
+  };
 }
 
-function encodeVideo(inputDir, outputPath, fps, width, height) {
-  return new Promise((resolve, reject) => {
-    const ffmpeg = spawn("ffmpeg", [
-      "-y",
-      "-framerate", String(fps),
-      "-i", path.join(inputDir, "frame_%06d.png"),
-      "-c:v", "libx264",
-      "-preset", "medium",
-      "-crf", "18",
-      "-pix_fmt", "yuv420p",
-      "-vf", `scale=${width}:${height}`,
-      "-movflags", "+faststart",
-      outputPath,
-    ]);
-
-    let stderr = "";
-    ffmpeg.stderr.on("data", (data) => {
-      stderr += data.toString();
-    });
-
-    ffmpeg.on("close", (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`));
-      }
-    });
+// Renders one frame of a loop without encoding the animation. draw() still
+// runs for every earlier frame so stateful sketches reach the same pixels
+// they would have in renderLoop().
+export function renderLoopFrame(options) {
+  const {
+    frame,
+    totalFrames = 120,
+    fps = 30,
+    width = 1950,
+    height = 2400,
+  } = options;
 
-    ffmpeg.on("error", (err) => {
-      reject(err);
-    });
-  });
+  const { canvas, p, setup, draw, normalizedVars, numericSeed, derivedSeed, opStream, protocolRuntime } = prepareLoopSketch({ ...options, width, height });
+
+  if (setup) {
+    opStream.mark("setup");
+    setup();
+  }
+
+  for (let f = 0; f <= frame; f++) {
+    injectTimeVariables(p, loopTimeVariables(f, totalFrames, fps));
+    opStream.mark("draw", f);
+    draw();
+  }
+
+  const { data } = canvas.getContext("2d").getImageData(0, 0, width, height);
+
+  return {
+    pngBuffer: encodePng(canvas, protocolRuntime.canvas.pngProfile),
+    pixelHash: computePixelHashFromRgba(data, width, height),
+    frameHash: hashFrameRgba(data),
+    ...opStream.digest(),
+    frame,
+    t: loopTimeVariables(frame, totalFrames, fps).t,
+    totalFrames,
+    fps,
+    normalizedVars,
+    numericSeed,
+    derivedSeed,
+  };
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
 }
@@ -0,0 +1,45 @@
+function readPositiveIntEnv(name, fallback) {
+  const parsed = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Per-render execution budgets. Enforced by the sandbox pool (wall clock, heap,
+// queue depth and wait) and inside the worker (draw-op count).
+export const SANDBOX_LIMITS = Object.freeze({
+  poolSize: readPositiveIntEnv("RENDER_POOL_SIZE", 2),
+  staticTimeoutMs: readPositiveIntEnv("RENDER_TIMEOUT_MS", 10000),
+  loopTimeoutMs: readPositiveIntEnv("LOOP_RENDER_TIMEOUT_MS", 300000),
+  maxHeapMb: readPositiveIntEnv("RENDER_MAX_HEAP_MB", 512),
+  maxDrawOps: readPositiveIntEnv("RENDER_MAX_DRAW_OPS", 10000000),
+  maxQueuedJobs: readPositiveIntEnv("RENDER_MAX_QUEUE", 32),
+  queueTimeoutMs: readPositiveIntEnv("RENDER_QUEUE_TIMEOUT_MS", 30000),
+});
+
+const DRAW_OPS = [
+  "background", "clear",
+  "ellipse", "circle", "rect", "square", "line", "point", "triangle", "quad",
+  "arc", "bezier", "curve", "polygon", "star",
+  "vertex", "curveVertex", "bezierVertex", "endShape",
+  "text", "set", "image", "updatePixels", "filter",
+];
+
+// Wraps every drawing primitive on the runtime so that a render issuing more
+// than maxDrawOps calls fails with RESOURCE_LIMIT instead of grinding on.
+// Must be applied after extendP5Runtime() so the extended primitives are counted.
+// Runtimes passed the same `budget` object (createGraphics() buffers and the
+// main canvas) draw from one shared count.
+export function enforceDrawOpBudget(p, maxDrawOps, budget = { used: 0 }) {
+  if (!maxDrawOps) return p;
+
+  for (const name of DRAW_OPS) {
+    const original = p[name];
+    if (typeof original !== "function") continue;
+    p[name] = (...args) => {
+      if (++budget.used > maxDrawOps) {
+        throw new Error(`RESOURCE_LIMIT: Sketch exceeded the draw operation budget of ${maxDrawOps} per render`);
+      }
+      return original(...args);
+    };
+  }
+  return p;
+}
@@ -0,0 +1,100 @@
+import { parentPort, workerData } from "worker_threads";
+import { createCanvas, loadImage, registerFont } from "canvas";
+import { executeSnapshot } from "./execute-snapshot.js";
+import { renderLoop, renderLoopFrame } from "./render-loop.js";
+import { computePixelHash } from "./pixel-hash.js";
+import { encodePng } from "./png-encoder.js";
+import { diffRgba } from "./pixel-diff.js";
+import { registerProtocolFonts } from "./fonts.js";
+import { renderVectorOutput } from "./vector-output.js";
+import { pngDimensions } from "./assets.js";
+import { installGlobalDeterminismGuards } from "./determinism-guard.js";
+
+const { maxDrawOps } = workerData;
+
+// Fonts must be registered before the first canvas is created
+registerProtocolFonts(registerFont);
+
+// Sketch execution runs through runSketch() so that Math.random, Date and
+// performance throw even when reached through this worker's global object
+const runSketch = installGlobalDeterminismGuards();
+
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+async function decodePng(bytes) {
+  const image = await loadImage(toBuffer(bytes));
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+// Sizes come from the IHDR chunks, so a mismatched (possibly huge) expected
+// image is reported without being decoded
+async function diffPngs({ expectedPng, computedPng }) {
+  const expectedSize = pngDimensions(toBuffer(expectedPng));
+  const computedSize = pngDimensions(toBuffer(computedPng));
+  if (!expectedSize) {
+    throw new Error("INVALID_REQUEST: Expected image is not a PNG");
+  }
+
+  if (expectedSize.width !== computedSize.width || expectedSize.height !== computedSize.height) {
+    return {
+      dimensionMismatch: true,
+      expected: expectedSize,
+      computed: computedSize,
+    };
+  }
+
+  const expected = await decodePng(expectedPng);
+  const computed = await decodePng(computedPng);
+
+  const { heatmap, ...report } = diffRgba(expected.data, computed.data, computed.width, computed.height);
+  const heatmapCanvas = createCanvas(computed.width, computed.height);
+  const heatmapCtx = heatmapCanvas.getContext("2d");
+  const heatmapImage = heatmapCtx.createImageData(computed.width, computed.height);
+  heatmapImage.data.set(heatmap);
+  heatmapCtx.putImageData(heatmapImage, 0, 0);
+
+  return { ...report, heatmapPng: encodePng(heatmapCanvas) };
+}
+
+const tasks = {
+  static: async (payload) => {
+    const { canvas, protocolRuntime, numericSeed, derivedSeed, normalizedVars, codeLength, displayList, opStreamHash, opCount } = await runSketch(() => executeSnapshot(payload.snapshot, {
+      width: payload.width,
+      height: payload.height,
+      maxDrawOps,
+      recordDisplayList: Boolean(payload.vectorFormat),
+    }));
+    return {
+      pngBuffer: encodePng(canvas, protocolRuntime.canvas.pngProfile),
+      pixelHash: computePixelHash(canvas),
+      numericSeed,
+      derivedSeed,
+      normalizedVars,
+      codeLength,
+      opStreamHash,
+      opCount,
+      vector: displayList ? renderVectorOutput(displayList, payload.vectorFormat, payload.width, payload.height) : null,
+    };
+  },
+  loop: (payload) => runSketch(() => renderLoop({
+    ...payload,
+    maxDrawOps,
+    onEncoderStart: (pid) => parentPort.postMessage({ childPid: pid }),
+  })),
+  frame: (payload) => runSketch(() => renderLoopFrame({ ...payload, maxDrawOps })),
+  diff: diffPngs,
+};
+
+parentPort.on("message", async ({ task, payload }) => {
+  try {
+    const result = await tasks[task](payload);
+    parentPort.postMessage({ ok: true, result });
+  } catch (error) {
+    parentPort.postMessage({ ok: false, message: error?.message ?? String(error), details: error?.details ?? null });
+  }
+});
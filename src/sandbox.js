@@ -0,0 +1,227 @@
+import { Worker } from "worker_threads";
+import { SANDBOX_LIMITS } from "./resource-limits.js";
+import { createLoopOutputDir, removeLoopOutputDir } from "./video-encoder.js";
+
+const WORKER_URL = new URL("./sandbox-worker.js", import.meta.url);
+
+// Workers get their own copy of the environment. Only what ffmpeg and
+// fontconfig need to start is passed through; secrets stay on the main thread.
+const WORKER_ENV_ALLOWLIST = ["PATH", "HOME", "TMPDIR", "FONTCONFIG_FILE", "FONTCONFIG_PATH"];
+
+function workerEnv() {
+  const env = {};
+  for (const name of WORKER_ENV_ALLOWLIST) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  return env;
+}
+
+// Sketch code never runs on the Express event loop. Each render is handed to a
+// fresh worker thread with a capped heap, so /health and /ready stay
+// responsive. A worker runs exactly one job and is then terminated: sketch
+// code can reach the worker's real global object (through any function's
+// constructor, for one), so nothing it tampers with may outlive its own
+// render. Jobs wait in a bounded queue and are dropped once their caller goes
+// away.
+const queue = [];
+let liveWorkers = 0;
+let busyWorkers = 0;
+
+function spawnWorker() {
+  const worker = new Worker(WORKER_URL, {
+    workerData: { maxDrawOps: SANDBOX_LIMITS.maxDrawOps },
+    env: workerEnv(),
+    resourceLimits: { maxOldGenerationSizeMb: SANDBOX_LIMITS.maxHeapMb },
+  });
+  liveWorkers++;
+
+  worker.on("error", (err) => {
+    console.error(`[SANDBOX] worker error: ${err.message}`);
+  });
+  worker.once("exit", () => {
+    liveWorkers--;
+    drainQueue();
+  });
+  worker.unref();
+
+  return worker;
+}
+
+function drainQueue() {
+  while (queue.length > 0 && liveWorkers < SANDBOX_LIMITS.poolSize) {
+    const job = queue.shift();
+    clearTimeout(job.queueTimer);
+    runJob(spawnWorker(), job);
+  }
+}
+
+function runJob(worker, job) {
+  // Single-frame renders replay every earlier draw() call and diffs decode two
+  // full-size PNGs, so everything but a static render gets the loop budget
+  const timeoutMs = job.task === "static" ? SANDBOX_LIMITS.staticTimeoutMs : SANDBOX_LIMITS.loopTimeoutMs;
+  let settled = false;
+  // Processes the worker spawned for this job (ffmpeg). Terminating a worker
+  // does not stop them, so they are killed whenever the worker is.
+  const childPids = [];
+  busyWorkers++;
+
+  // The worker is always terminated; a failed job also takes its child
+  // processes down, since they may still be running
+  const settle = (failed, outcome) => {
+    if (settled) return;
+    settled = true;
+    busyWorkers--;
+    clearTimeout(timer);
+    job.signal?.removeEventListener("abort", job.onAbort);
+    worker.off("message", onMessage);
+    worker.off("error", onError);
+    worker.off("exit", onExit);
+
+    worker.terminate().catch(() => {});
+    if (failed) {
+      for (const pid of childPids) {
+        try {
+          process.kill(pid, "SIGKILL");
+        } catch {
+          // Already exited
+        }
+      }
+    }
+    outcome();
+  };
+
+  const timer = setTimeout(() => {
+    console.warn(`[SANDBOX] task=${job.task} exceeded ${timeoutMs}ms, terminating worker`);
+    settle(true, () => job.reject(new Error(`EXECUTION_TIMEOUT: Sketch exceeded the ${timeoutMs}ms execution time limit`)));
+  }, timeoutMs);
+
+  const onMessage = (message) => {
+    if (message.childPid !== undefined) {
+      childPids.push(message.childPid);
+      return;
+    }
+    if (message.ok) {
+      settle(false, () => job.resolve(message.result));
+    } else {
+      // The worker has already cleaned up after a failure it reports itself
+      const error = new Error(message.message);
+      if (message.details) error.details = message.details;
+      settle(false, () => job.reject(error));
+    }
+  };
+
+  const onError = (err) => {
+    const message = err.code === "ERR_WORKER_OUT_OF_MEMORY"
+      ? `RESOURCE_LIMIT: Sketch exceeded the ${SANDBOX_LIMITS.maxHeapMb}MB memory limit`
+      : err.message;
+    settle(true, () => job.reject(new Error(message)));
+  };
+
+  const onExit = (code) => {
+    settle(true, () => job.reject(new Error(`Render worker exited unexpectedly (code ${code})`)));
+  };
+
+  job.cancel = () => {
+    console.warn(`[SANDBOX] task=${job.task} cancelled by the client, terminating worker`);
+    settle(true, () => job.reject(requestAborted()));
+  };
+
+  worker.on("message", onMessage);
+  worker.on("error", onError);
+  worker.on("exit", onExit);
+  worker.postMessage({ task: job.task, payload: job.payload });
+}
+
+function requestAborted() {
+  return new Error("REQUEST_ABORTED: The client closed the request before the render finished");
+}
+
+// `signal` is aborted when the requesting client disconnects: a queued job is
+// dropped, a running one has its worker terminated.
+function runSandboxed(task, payload, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(requestAborted());
+      return;
+    }
+    if (queue.length >= SANDBOX_LIMITS.maxQueuedJobs) {
+      reject(new Error(`SANDBOX_BUSY: Render queue is full (${SANDBOX_LIMITS.maxQueuedJobs} jobs waiting), retry later`));
+      return;
+    }
+
+    const job = { task, payload, resolve, reject, signal };
+    const dequeue = (error) => {
+      const index = queue.indexOf(job);
+      if (index === -1) return;
+      queue.splice(index, 1);
+      clearTimeout(job.queueTimer);
+      signal?.removeEventListener("abort", job.onAbort);
+      reject(error);
+    };
+
+    job.cancel = () => dequeue(requestAborted());
+    job.onAbort = () => job.cancel();
+    job.queueTimer = setTimeout(() => {
+      dequeue(new Error(`SANDBOX_BUSY: No render worker became free within ${SANDBOX_LIMITS.queueTimeoutMs}ms, retry later`));
+    }, SANDBOX_LIMITS.queueTimeoutMs);
+    signal?.addEventListener("abort", job.onAbort, { once: true });
+
+    queue.push(job);
+    drainQueue();
+  });
+}
+
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+// `vectorFormat` ("svg" or "pdf") additionally returns a non-canonical vector
+// rendition as `vector`, with its bytes in `vector.buffer`.
+export async function renderStaticInSandbox(snapshot, { width, height, vectorFormat, signal }) {
+  const result = await runSandboxed("static", { snapshot, width, height, vectorFormat }, { signal });
+  const vector = result.vector ? { ...result.vector, buffer: toBuffer(result.vector.buffer) } : null;
+  return { ...result, pngBuffer: toBuffer(result.pngBuffer), vector };
+}
+
+// The output directory belongs to the main thread: it is removed here when
+// the render fails for any reason, including a terminated worker. On success
+// the caller releases it with removeLoopOutput().
+export async function renderLoopInSandbox(options, { signal } = {}) {
+  const outputDir = await createLoopOutputDir();
+  try {
+    return await runSandboxed("loop", { ...options, outputDir }, { signal });
+  } catch (error) {
+    await removeLoopOutputDir(outputDir);
+    throw error;
+  }
+}
+
+export async function renderFrameInSandbox(options, { signal } = {}) {
+  const result = await runSandboxed("frame", options, { signal });
+  return { ...result, pngBuffer: toBuffer(result.pngBuffer) };
+}
+
+export async function diffPngsInSandbox(expectedPng, computedPng, { signal } = {}) {
+  const report = await runSandboxed("diff", { expectedPng, computedPng }, { signal });
+  if (report.heatmapPng) {
+    return { ...report, heatmapPng: toBuffer(report.heatmapPng) };
+  }
+  return report;
+}
+
+export function getSandboxStats() {
+  return {
+    poolSize: SANDBOX_LIMITS.poolSize,
+    liveWorkers,
+    busyWorkers,
+    queuedJobs: queue.length,
+    limits: {
+      staticTimeoutMs: SANDBOX_LIMITS.staticTimeoutMs,
+      loopTimeoutMs: SANDBOX_LIMITS.loopTimeoutMs,
+      maxHeapMb: SANDBOX_LIMITS.maxHeapMb,
+      maxDrawOps: SANDBOX_LIMITS.maxDrawOps,
+      maxQueuedJobs: SANDBOX_LIMITS.maxQueuedJobs,
+      queueTimeoutMs: SANDBOX_LIMITS.queueTimeoutMs,
+    },
+  };
+}
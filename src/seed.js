@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import { canonicalize } from "./attest.js";
+
+// Seed derivations turn a snapshot's `seed` into the numeric seed the SDK's
+// PRNG and noise are created with. Each returns the derivation's full output
+// as hex (`derivedSeed`) together with the 32 bits the PRNG takes
+// (`numericSeed`). Protocol runtimes pick one by id; both static and loop
+// renders go through deriveSeed() so they can never disagree.
+
+// Legacy (protocol <= 1.2.0): a 32-bit `acc * 31 + charCode` fold over string
+// seeds, numbers truncated to uint32. Short strings collide easily ("Aa" and
+// "BB" fold to the same seed), so it is kept only to reproduce old renders.
+function foldSeed(seed) {
+  const numericSeed =
+    typeof seed === "string"
+      ? seed.split("").reduce((acc, c) => (acc * 31 + c.charCodeAt(0)) >>> 0, 0)
+      : (seed ?? 0) >>> 0;
+  return { numericSeed, derivedSeed: numericSeed.toString(16).padStart(8, "0") };
+}
+
+// SHA-256 over a domain-separated canonical JSON encoding of the seed, so
+// "42" and 42 differ and no two seeds share an input. The PRNG is seeded with
+// the first 32 bits of the digest.
+function sha256Seed(seed) {
+  if (seed != null && typeof seed !== "string" && !Number.isFinite(seed)) {
+    throw new Error("PROTOCOL_VIOLATION: seed must be a string or a finite number");
+  }
+  const digest = crypto.createHash("sha256")
+    .update(`nexart.seed.sha256.v1\n${canonicalize(seed ?? null)}`)
+    .digest();
+  return { numericSeed: digest.readUInt32BE(0), derivedSeed: digest.toString("hex") };
+}
+
+export const SEED_DERIVATIONS = Object.freeze({
+  "nexart.seed.fold31": foldSeed,
+  "nexart.seed.sha256.v1": sha256Seed,
+});
+
+export function deriveSeed(seed, derivation) {
+  if (!Object.hasOwn(SEED_DERIVATIONS, derivation)) {
+    throw new Error(`deriveSeed: unknown seed derivation ${derivation}`);
+  }
+  return SEED_DERIVATIONS[derivation](seed);
+}
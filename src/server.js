@@ -1,9 +1,21 @@
 import express from "express";
 import cors from "cors";
-import { createCanvas } from "canvas";
 import crypto from "crypto";
-import { renderLoop } from "./render-loop.js";
-import { extendP5Runtime } from "./p5-extensions.js";
+import { renderStaticInSandbox, renderLoopInSandbox, renderFrameInSandbox, diffPngsInSandbox, getSandboxStats } from "./sandbox.js";
+import { analyzeSketch } from "./sketch-loader.js";
+import { lintSketch } from "./sketch-lint.js";
+import { PIXEL_HASH_SCHEME } from "./pixel-hash.js";
+import { OP_STREAM_SCHEME } from "./op-stream.js";
+import { resolveLoopExecution, isFrameRequest, resolveFrameExecution } from "./loop-timing.js";
+import { LOOP_LIMITS, PLAN_LOOP_LIMITS, resolveLoopLimits, estimateLoopCost } from "./loop-limits.js";
+import { loadNodeKeyring, signAttestation, describeNodeKeys, buildRevocationList } from "./node-signing.js";
+import { findFirstDivergentFrame } from "./pixel-diff.js";
+import { resolveAssets, assetHashes, pngDimensions } from "./assets.js";
+import { resolveOutputFormat } from "./output-formats.js";
+import { VARS_MODES, resolveVarsMode, assertStrictVars, formatVarsNormalizedHeader } from "./vars.js";
+import { CANVAS_SIZE, SUPPORTED_PROTOCOL_VERSIONS, getProtocolRuntime, describeProtocolRuntimes } from "./protocol-runtimes.js";
+import { removeLoopOutput } from "./video-encoder.js";
+import { sendJsonWithBase64File } from "./stream-response.js";
 import { getVersionInfo } from "./version.js";
 import { runMigrations, logUsageEvent, getUsageToday, getUsageMonth, getAccountQuota, getQuotaResetDate, pingDatabase, closePool, insertCerProof, getProofByCertificateHash, listProofs } from "./db.js";
 import { verifyCodeModeBundle, verifyAiExecBundle, validateAiCerBundle, computeAttestationHash, sha256, sha256hex, canonicalize, isValidSha256 } from "./attest.js";
@@ -12,9 +24,6 @@ import { ingestCerBundle, coerceUsageEventId } from "./cer-ingest.js";
 
 import { createAuthMiddleware, requireAdmin, createUsageLogger } from "./auth.js";
 import {
-  createP5Runtime,
-  injectTimeVariables,
-  injectProtocolVariables,
   CODE_MODE_PROTOCOL_VERSION,
   SDK_VERSION as SDK_VERSION_FROM_SDK
 } from "@nexart/codemode-sdk/node";
@@ -48,18 +57,20 @@ app.use(cors({
 app.options('*', cors());
 const PORT = process.env.PORT || 5000;
 
-const CANVAS_WIDTH = 1950;
-const CANVAS_HEIGHT = 2400;
+const CANVAS_WIDTH = CANVAS_SIZE.width;
+const CANVAS_HEIGHT = CANVAS_SIZE.height;
 const NODE_VERSION = packageJson.version || "0.2.0";
 const SDK_VERSION = SDK_VERSION_FROM_SDK || "1.8.4";
 const INSTANCE_ID = process.env.RAILWAY_REPLICA_ID || process.env.HOSTNAME || "unknown";
+const NODE_KEYRING = loadNodeKeyring();
+const REVOCATION_LIST_PATH = "/.well-known/nexart-revocations.json";
 
 // Single source of truth for default protocol version
 // Can be overridden via env var, falls back to SDK constant or hardcoded default
 const DEFAULT_PROTOCOL_VERSION = process.env.PROTOCOL_VERSION ?? CODE_MODE_PROTOCOL_VERSION ?? "1.2.0";
 
-// Supported protocol versions (for validation when provided)
-const SUPPORTED_PROTOCOL_VERSIONS = ["1.0.0", "1.1.0", "1.2.0"];
+// Fail at boot rather than on every request if the default has no registered runtime
+getProtocolRuntime(DEFAULT_PROTOCOL_VERSION);
 
 const apiKeyAuth = createAuthMiddleware();
 const logUsage = createUsageLogger(SDK_VERSION, DEFAULT_PROTOCOL_VERSION, CANVAS_WIDTH, CANVAS_HEIGHT);
@@ -109,89 +120,28 @@ function computeHash(buffer) {
   return crypto.createHash("sha256").update(buffer).digest("hex");
 }
 
-function executeSnapshot(snapshot) {
-  const { code, seed, vars = [] } = snapshot;
-
-  const numericSeed =
-    typeof seed === "string"
-      ? seed.split("").reduce((acc, c) => (acc * 31 + c.charCodeAt(0)) >>> 0, 0)
-      : (seed ?? 0) >>> 0;
+// Errors raised by the execution sandbox, with the status each maps to: a
+// sketch overrunning its budgets is the caller's fault, a full queue is ours,
+// and an aborted render has no one left to answer (499, as nginx logs it).
+const SANDBOX_ERROR_STATUS = {
+  EXECUTION_TIMEOUT: 422,
+  RESOURCE_LIMIT: 422,
+  SANDBOX_BUSY: 503,
+  REQUEST_ABORTED: 499,
+};
+
+function getSandboxErrorCode(error) {
+  return Object.keys(SANDBOX_ERROR_STATUS).find(code => error.message?.startsWith(`${code}:`)) ?? null;
+}
 
-  const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
-  
-  const p = createP5Runtime(canvas, CANVAS_WIDTH, CANVAS_HEIGHT, { seed: numericSeed });
-  extendP5Runtime(p, canvas);
-
-  const normalizedVars = new Array(10).fill(0);
-  if (Array.isArray(vars)) {
-    for (let i = 0; i < Math.min(vars.length, 10); i++) {
-      const v = vars[i];
-      if (typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 100) {
-        normalizedVars[i] = v;
-      }
-    }
-  }
-  
-  injectProtocolVariables(p, normalizedVars);
-  
-  // Inject time variables for setup() with frameCount: 0
-  injectTimeVariables(p, {
-    frameCount: 0,
-    t: 0,
-    time: 0,
-    tGlobal: 0,
+// Aborted when the client disconnects before its response is written, so the
+// sandbox can drop or terminate a render nobody is waiting for.
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
   });
-
-  // Extract setup() body
-  const setupMatch = code.match(
-    /function\s+setup\s*\(\s*\)\s*\{([\s\S]*?)\}(?=\s*function|\s*$)/
-  );
-  const setupCode = setupMatch ? setupMatch[1].trim() : code;
-
-  const wrappedSetup = new Function(
-    "p",
-    "VAR",
-    "frameCount",
-    "t",
-    "time",
-    "tGlobal",
-    `with(p) { ${setupCode} }`
-  );
-
-  // Run setup() once
-  wrappedSetup(p, p.VAR, 0, 0, 0, 0);
-
-  // Extract draw() body and run once if it exists
-  const drawMatch = code.match(
-    /function\s+draw\s*\(\s*\)\s*\{([\s\S]*?)\}(?=\s*function|\s*$)/
-  );
-  
-  if (drawMatch) {
-    const drawCode = drawMatch[1].trim();
-    
-    // Inject time variables for draw() with frameCount: 1
-    injectTimeVariables(p, {
-      frameCount: 1,
-      t: 0,
-      time: 0,
-      tGlobal: 0,
-    });
-    
-    const wrappedDraw = new Function(
-      "p",
-      "VAR",
-      "frameCount",
-      "t",
-      "time",
-      "tGlobal",
-      `with(p) { ${drawCode} }`
-    );
-    
-    // Run draw() once for static mode
-    wrappedDraw(p, p.VAR, 1, 0, 0, 0);
-  }
-
-  return { canvas, numericSeed, normalizedVars, codeLength: code.length };
+  return controller.signal;
 }
 
 app.use(express.json({ limit: "50mb" }));
@@ -276,6 +226,25 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Public keys that verify this node's attestation signatures, including
+// retired and revoked ones (see node-signing.js)
+app.get("/.well-known/nexart-keys.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json({ ...describeNodeKeys(NODE_KEYRING), revocationList: REVOCATION_LIST_PATH });
+});
+
+app.get(REVOCATION_LIST_PATH, (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(buildRevocationList(NODE_KEYRING));
+  } catch (error) {
+    res.status(503).json({
+      error: "SIGNING_KEY_UNAVAILABLE",
+      message: error.message.replace("SIGNING_KEY_UNAVAILABLE: ", ""),
+    });
+  }
+});
+
 app.get("/version", (req, res) => {
   const versionInfo = getVersionInfo();
   res.json({
@@ -287,16 +256,21 @@ app.get("/version", (req, res) => {
     protocolVersion: DEFAULT_PROTOCOL_VERSION,
     serviceBuild: versionInfo.serviceBuild,
     nodeVersion: versionInfo.nodeVersion,
+    pngProfiles: versionInfo.pngProfiles,
+    fontSet: versionInfo.fontSet,
+    protocolRuntimes: describeProtocolRuntimes(),
+    loopLimits: { protocol: LOOP_LIMITS, plans: PLAN_LOOP_LIMITS },
     timestamp: new Date().toISOString(),
   });
 });
 
 app.post("/api/render", apiKeyAuth, async (req, res) => {
   const startTime = req.startTime || Date.now();
+  const signal = clientAbortSignal(res);
   let runtimeHash = null;
 
   try {
-    const { code, seed, VAR, width, height, protocolVersion: requestedProtocolVersion } = req.body;
+    const { code, seed, VAR, width, height, execution, assets: requestAssets, varsMode: requestedVarsMode, protocolVersion: requestedProtocolVersion } = req.body;
 
     // ========== Protocol Version Normalization ==========
     // Lenient defaulting: if protocolVersion missing, use server default
@@ -367,47 +341,245 @@ app.post("/api/render", apiKeyAuth, async (req, res) => {
       });
     }
 
-    const vars = Array.isArray(VAR) ? VAR : new Array(10).fill(0);
+    if (requestedVarsMode !== undefined && !VARS_MODES.includes(requestedVarsMode)) {
+      logUsage(req, res.status(400), null, "invalid_vars_mode", resolvedProtocolVersion, protocolVersionWasDefaulted);
+      return res.json({
+        error: "INVALID_REQUEST",
+        message: `varsMode must be one of: ${VARS_MODES.join(", ")}`,
+      });
+    }
 
-    const snapshot = { code, seed: seed || "default", vars };
-    const { canvas, normalizedVars } = executeSnapshot(snapshot);
+    const protocolRuntime = getProtocolRuntime(resolvedProtocolVersion);
+    const varsMode = resolveVarsMode(requestedVarsMode, req.apiKey?.varsMode);
+    if (varsMode === "strict") {
+      assertStrictVars(VAR);
+    }
+    const varsNormalization = formatVarsNormalization(varsMode, protocolRuntime, VAR);
 
-    const pngBuffer = canvas.toBuffer("image/png");
-    runtimeHash = computeHash(pngBuffer);
+    const vars = Array.isArray(VAR) ? VAR : new Array(10).fill(0);
+    const assets = resolveAssets(requestAssets);
+
+    const snapshot = { code, seed: seed || "default", vars, assets, protocolVersion: resolvedProtocolVersion };
+    const acceptHeader = req.get("Accept") || "";
 
     // ========== Response Headers ==========
-    if (req.meteringSkipped) {
-      res.set("X-NexArt-Metering", "skipped");
+    const setRenderHeaders = () => {
+      if (req.meteringSkipped) {
+        res.set("X-NexArt-Metering", "skipped");
+      }
+      // Always set resolved protocol version and the runtime that executed it
+      res.set("X-Protocol-Version", resolvedProtocolVersion);
+      res.set("X-Runtime-Fingerprint", protocolRuntime.fingerprint);
+      if (varsNormalization.changes.length > 0) {
+        res.set("X-Vars-Normalized", formatVarsNormalizedHeader(varsNormalization.changes));
+      }
+      // Set defaulted flag header when protocol version was not provided
+      if (protocolVersionWasDefaulted) {
+        res.set("X-Protocol-Defaulted", "true");
+      }
+      // Quota headers (used + 1 since this render will be logged as success)
+      res.set("X-Quota-Limit", String(quota.limit));
+      res.set("X-Quota-Used", String(quota.used + 1));
+      res.set("X-Quota-Remaining", String(Math.max(0, quota.remaining - 1)));
+    };
+    // ======================================
+
+    // Loop parameters are bounded by the key's plan before any frame is rendered
+    const loopLimits = resolveLoopLimits(req.apiKey?.plan);
+    const frameExecution = isFrameRequest(execution) ? resolveFrameExecution(execution, loopLimits) : null;
+
+    if (!frameExecution && detectLoopMode(code, execution)) {
+      const { totalFrames, fps, animationFormat, posterFrame } = resolveLoopExecution(execution, loopLimits);
+      resolveOutputFormat(execution?.output, "loop");
+      const loopEstimate = estimateLoopCost({ totalFrames, fps });
+      sendLoopEstimate(res, loopEstimate);
+
+      const result = await renderLoopInSandbox({
+        ...snapshot,
+        totalFrames,
+        fps,
+        format: animationFormat.id,
+        posterFrame,
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+      }, { signal });
+
+      runtimeHash = result.animationHash;
+      setRenderHeaders();
+
+      try {
+        if (acceptHeader.includes("application/json")) {
+          await sendJsonWithBase64File(res, {
+            format: result.format,
+            mime: result.mime,
+            lossless: result.lossless,
+            runtimeHash,
+            animationHash: result.animationHash,
+            posterBase64: result.posterBase64,
+            posterHash: result.posterHash,
+            posterFrame: result.posterFrame,
+            frameRoot: result.frameRoot,
+            frameManifest: result.frameManifest,
+            opStreamHash: result.opStreamHash,
+            frames: totalFrames,
+            fps,
+            loopEstimate,
+            width: CANVAS_WIDTH,
+            height: CANVAS_HEIGHT,
+            sdkVersion: SDK_VERSION,
+            protocolVersion: resolvedProtocolVersion,
+            protocolVersionSource: protocolVersionWasDefaulted ? "defaulted" : "request",
+            runtimeFingerprint: protocolRuntime.fingerprint,
+            seedDerivation: protocolRuntime.seedDerivation,
+            derivedSeed: result.derivedSeed,
+            varsNormalization,
+            executionTimeMs: Date.now() - startTime,
+          }, "animationBase64", result.animationPath);
+        } else {
+          res.set("Content-Type", result.mime);
+          res.set("X-Runtime-Hash", runtimeHash);
+          res.set("X-Animation-Format", result.format);
+          res.set("X-Poster-Hash", result.posterHash);
+          res.set("X-Poster-Frame", String(result.posterFrame));
+          res.set("X-Frame-Root", result.frameRoot);
+          res.set("X-Op-Stream-Hash", result.opStreamHash);
+          res.set("X-Derived-Seed", result.derivedSeed);
+          res.set("X-Estimated-Render-Ms", String(loopEstimate.estimatedRenderMs));
+          res.set("X-SDK-Version", SDK_VERSION);
+          await new Promise((resolve, reject) => {
+            res.sendFile(result.animationPath, (err) => (err ? reject(err) : resolve()));
+          });
+        }
+      } finally {
+        await removeLoopOutput(result.animationPath);
+      }
+
+      if (!req.meteringSkipped) {
+        const usageResult = logUsage(req, res, runtimeHash, null, resolvedProtocolVersion, protocolVersionWasDefaulted);
+
+        Promise.resolve(usageResult).then(async (rawId) => {
+          const usageEventId = coerceUsageEventId(rawId);
+          if (usageEventId == null) {
+            console.warn(`[cer-ingest] render skipped (invalid usageEventId) raw=${JSON.stringify(rawId)}`);
+            return;
+          }
+
+          const timestamp = new Date().toISOString();
+
+          // The encoded animation is released once sent; the poster frame is archived as the artifact
+          const renderBundle = {
+            bundleType: "cer.codemode.render.v1",
+            runtimeHash,
+            animationHash: result.animationHash,
+            animationFormat: result.format,
+            posterHash: result.posterHash,
+            posterFrame: result.posterFrame,
+            frameRoot: result.frameRoot,
+            opStreamHash: result.opStreamHash,
+            opStreamScheme: OP_STREAM_SCHEME,
+            frames: totalFrames,
+            fps,
+            codeHash: sha256(code),
+            seed: seed || "default",
+            seedDerivation: protocolRuntime.seedDerivation,
+            derivedSeed: result.derivedSeed,
+            varsHash: sha256(JSON.stringify(result.normalizedVars)),
+            assetHashes: assetHashes(assets),
+            protocolVersion: resolvedProtocolVersion,
+            runtimeFingerprint: protocolRuntime.fingerprint,
+            sdkVersion: SDK_VERSION,
+            canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
+            contentType: result.mime,
+            pngProfile: protocolRuntime.canvas.pngProfile,
+            timestamp
+          };
+
+          const renderAttestation = signAttestation({
+            attestedAt: timestamp,
+            nodeRuntimeHash: runtimeHash,
+            protocolVersion: resolvedProtocolVersion,
+            checks: ["runtime_hash", "frame_root", "op_stream_hash", "code_hash"],
+            verified: true
+          }, NODE_KEYRING);
+
+          console.log(`[cer-ingest] attempt usageEventId=${usageEventId} bundleType=cer.codemode.render.v1`);
+          await ingestCerBundle({
+            usageEventId,
+            endpoint: "/api/render",
+            bundle: renderBundle,
+            attestation: renderAttestation,
+            artifactBase64: result.posterBase64,
+            artifactMime: "image/png"
+          });
+        }).catch((err) => {
+          console.warn(`[cer-ingest] render ingest error: ${err.message}`);
+        });
+      }
+      return;
     }
-    // Always set resolved protocol version
-    res.set("X-Protocol-Version", resolvedProtocolVersion);
-    // Set defaulted flag header when protocol version was not provided
-    if (protocolVersionWasDefaulted) {
-      res.set("X-Protocol-Defaulted", "true");
+
+    const outputFormat = resolveOutputFormat(execution?.output, frameExecution ? "frame" : "static");
+    // Reported with the response, not in the render bundle: it is an estimate
+    const loopEstimate = frameExecution ? estimateLoopCost(frameExecution, frameExecution.frame + 1) : null;
+    if (loopEstimate) {
+      sendLoopEstimate(res, loopEstimate);
     }
-    // Quota headers (used + 1 since this render will be logged as success)
-    res.set("X-Quota-Limit", String(quota.limit));
-    res.set("X-Quota-Used", String(quota.used + 1));
-    res.set("X-Quota-Remaining", String(Math.max(0, quota.remaining - 1)));
-    // ======================================
+    const rendered = frameExecution
+      ? await renderFrameInSandbox({ ...snapshot, ...frameExecution, width: CANVAS_WIDTH, height: CANVAS_HEIGHT }, { signal })
+      : await renderStaticInSandbox(snapshot, {
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        vectorFormat: outputFormat.canonical ? undefined : outputFormat.id,
+        signal,
+      });
+    const { pngBuffer, pixelHash, opStreamHash, normalizedVars } = rendered;
+    const vector = rendered.vector ?? null;
+    const frameInfo = frameExecution
+      ? { frame: rendered.frame, t: rendered.t, frameHash: rendered.frameHash, totalFrames: rendered.totalFrames, fps: rendered.fps }
+      : null;
+
+    runtimeHash = computeHash(pngBuffer);
+    setRenderHeaders();
 
-    const acceptHeader = req.get("Accept") || "";
     if (acceptHeader.includes("application/json")) {
       res.json({
         pngBase64: pngBuffer.toString("base64"),
         runtimeHash,
+        pixelHash,
+        opStreamHash,
+        ...frameInfo,
+        ...(loopEstimate && { loopEstimate }),
+        ...(vector && { vector: formatVectorOutput(vector) }),
         width: CANVAS_WIDTH,
         height: CANVAS_HEIGHT,
         sdkVersion: SDK_VERSION,
         protocolVersion: resolvedProtocolVersion,
         protocolVersionSource: protocolVersionWasDefaulted ? "defaulted" : "request",
+        runtimeFingerprint: protocolRuntime.fingerprint,
+        seedDerivation: protocolRuntime.seedDerivation,
+        derivedSeed: rendered.derivedSeed,
+        varsNormalization,
         executionTimeMs: Date.now() - startTime,
       });
     } else {
-      res.set("Content-Type", "image/png");
+      res.set("Content-Type", vector ? vector.mime : "image/png");
       res.set("X-Runtime-Hash", runtimeHash);
+      res.set("X-Pixel-Hash", pixelHash);
+      res.set("X-Op-Stream-Hash", opStreamHash);
+      res.set("X-Derived-Seed", rendered.derivedSeed);
+      if (frameInfo) {
+        res.set("X-Frame-Index", String(frameInfo.frame));
+        res.set("X-Frame-Hash", frameInfo.frameHash);
+        res.set("X-Estimated-Render-Ms", String(loopEstimate.estimatedRenderMs));
+      }
+      if (vector) {
+        // The body is the vector rendition; the hashes above still describe the canonical PNG
+        res.set("X-Output-Format", vector.format);
+        res.set("X-Output-Hash", vector.hash);
+        res.set("X-Output-Canonical", "false");
+      }
       res.set("X-SDK-Version", SDK_VERSION);
-      res.send(pngBuffer);
+      res.send(vector ? vector.buffer : pngBuffer);
     }
     
     if (!req.meteringSkipped) {
@@ -427,23 +599,34 @@ app.post("/api/render", apiKeyAuth, async (req, res) => {
         const renderBundle = {
           bundleType: "cer.codemode.render.v1",
           runtimeHash,
+          pixelHash,
+          pixelHashScheme: PIXEL_HASH_SCHEME,
+          opStreamHash,
+          opStreamScheme: OP_STREAM_SCHEME,
           codeHash,
           seed: seed || "default",
+          seedDerivation: protocolRuntime.seedDerivation,
+          derivedSeed: rendered.derivedSeed,
           varsHash,
+          assetHashes: assetHashes(assets),
           protocolVersion: resolvedProtocolVersion,
+          runtimeFingerprint: protocolRuntime.fingerprint,
           sdkVersion: SDK_VERSION,
           canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
           contentType: "image/png",
+          pngProfile: protocolRuntime.canvas.pngProfile,
+          ...frameInfo,
+          vectorOutput: vector ? { format: vector.format, hash: vector.hash, canonical: false } : undefined,
           timestamp
         };
 
-        const renderAttestation = {
+        const renderAttestation = signAttestation({
           attestedAt: timestamp,
           nodeRuntimeHash: runtimeHash,
           protocolVersion: resolvedProtocolVersion,
-          checks: ["runtime_hash", "code_hash"],
+          checks: ["runtime_hash", "pixel_hash", "op_stream_hash", "code_hash"],
           verified: true
-        };
+        }, NODE_KEYRING);
 
         console.log(`[cer-ingest] attempt usageEventId=${usageEventId} bundleType=cer.codemode.render.v1`);
         await ingestCerBundle({
@@ -459,6 +642,11 @@ app.post("/api/render", apiKeyAuth, async (req, res) => {
       });
     }
   } catch (error) {
+    // A streamed loop response may already be partially written
+    if (res.headersSent) {
+      return res.end();
+    }
+
     // For error cases, use default protocol version since we may not have parsed request
     const errorProtocolVersion = DEFAULT_PROTOCOL_VERSION;
     
@@ -470,6 +658,43 @@ app.post("/api/render", apiKeyAuth, async (req, res) => {
       return res.json({
         error: "PROTOCOL_VIOLATION",
         message: error.message.replace("PROTOCOL_VIOLATION: ", ""),
+        ...error.details,
+      });
+    }
+
+    if (error.message && error.message.startsWith("LOOP_MODE_ERROR:")) {
+      if (!req.meteringSkipped) {
+        logUsage(req, res.status(400), null, error.message, errorProtocolVersion, true);
+      }
+      res.set("X-Protocol-Version", errorProtocolVersion);
+      return res.json({
+        error: "LOOP_MODE_ERROR",
+        message: error.message.replace("LOOP_MODE_ERROR: ", ""),
+        ...error.details,
+      });
+    }
+
+    if (error.message && error.message.startsWith("INVALID_SKETCH:")) {
+      if (!req.meteringSkipped) {
+        logUsage(req, res.status(400), null, error.message, errorProtocolVersion, true);
+      }
+      res.set("X-Protocol-Version", errorProtocolVersion);
+      return res.json({
+        error: "INVALID_SKETCH",
+        message: error.message.replace("INVALID_SKETCH: ", ""),
+        ...error.details,
+      });
+    }
+
+    const sandboxErrorCode = getSandboxErrorCode(error);
+    if (sandboxErrorCode) {
+      if (!req.meteringSkipped) {
+        logUsage(req, res.status(SANDBOX_ERROR_STATUS[sandboxErrorCode]), null, error.message, errorProtocolVersion, true);
+      }
+      res.set("X-Protocol-Version", errorProtocolVersion);
+      return res.status(SANDBOX_ERROR_STATUS[sandboxErrorCode]).json({
+        error: sandboxErrorCode,
+        message: error.message.replace(`${sandboxErrorCode}: `, ""),
       });
     }
     
@@ -484,6 +709,35 @@ app.post("/api/render", apiKeyAuth, async (req, res) => {
   }
 });
 
+// ========== /api/lint - Pre-flight Protocol Checks ==========
+// Static checks only: the sketch is parsed, never executed. Not logged as a
+// usage event, so it never counts against the account quota.
+app.post("/api/lint", apiKeyAuth, (req, res) => {
+  const { code } = req.body ?? {};
+
+  if (typeof code !== "string") {
+    return res.status(400).json({
+      error: "INVALID_REQUEST",
+      message: "code is required and must be a string",
+    });
+  }
+
+  try {
+    return res.json(lintSketch(req.body, {
+      supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      defaultProtocolVersion: DEFAULT_PROTOCOL_VERSION,
+      varsMode: resolveVarsMode(req.body.varsMode, req.apiKey?.varsMode),
+      loopLimits: resolveLoopLimits(req.apiKey?.plan),
+    }));
+  } catch (error) {
+    console.error("[LINT] error:", error.message);
+    return res.status(500).json({
+      error: "LINT_ERROR",
+      message: error.message,
+    });
+  }
+});
+
 // ========== /api/attest - CER Bundle Attestation ==========
 // Supports two bundle types:
 //   1. Code Mode bundles (existing behavior, raw hex hashes)
@@ -590,6 +844,20 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
         attestedAt
       });
 
+      // Signed before anything is logged, so a node without a valid key
+      // fails the request instead of recording an unsigned attestation
+      const attestationObj = signAttestation({
+        attestedAt,
+        attestationId: requestId,
+        bundleType: cleaned.bundleType,
+        certificateHash: cleaned.certificateHash,
+        nodeRuntimeHash,
+        protocolVersion: DEFAULT_PROTOCOL_VERSION,
+        requestId,
+        verified: true,
+        checks: ["snapshot_hashes", "certificate_hash"]
+      }, NODE_KEYRING);
+
       res.set("X-Quota-Limit", String(quota.limit));
       res.set("X-Quota-Used", String(quota.used + 1));
       res.set("X-Quota-Remaining", String(Math.max(0, quota.remaining - 1)));
@@ -607,18 +875,6 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
 
       const tDb = Date.now();
 
-      const attestationObj = {
-        attestedAt,
-        attestationId: requestId,
-        bundleType: cleaned.bundleType,
-        certificateHash: cleaned.certificateHash,
-        nodeRuntimeHash,
-        protocolVersion: DEFAULT_PROTOCOL_VERSION,
-        requestId,
-        verified: true,
-        checks: ["snapshot_hashes", "certificate_hash"]
-      };
-
       const coercedId = coerceUsageEventId(usageEventId);
 
       const tIngestEnqueue = Date.now();
@@ -646,6 +902,7 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
           executionId: cleaned.snapshot?.executionId || null,
           inputHash: cleaned.snapshot?.inputHash || null,
           outputHash: cleaned.snapshot?.outputHash || null,
+          keyId: attestationObj.keyId,
           status: "ATTESTED",
           meta: cleaned.meta || null
         }).catch((err) => console.error("[PROOF] insert error:", err.message));
@@ -663,6 +920,8 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
         attestationId: requestId,
         nodeRuntimeHash,
         protocolVersion: DEFAULT_PROTOCOL_VERSION,
+        keyId: attestationObj.keyId,
+        revocationList: REVOCATION_LIST_PATH,
         attestation: attestationObj
       });
     }
@@ -697,6 +956,19 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
       attestedAt
     });
 
+    const attestation = signAttestation({
+      attestedAt,
+      attestationId: requestId,
+      bundleType: bundle.bundleType || "codemode",
+      certificateHash: verification.certificateHash,
+      attestationHash,
+      nodeRuntimeHash,
+      protocolVersion: DEFAULT_PROTOCOL_VERSION,
+      requestId,
+      verified: true,
+      checks: ["input_hash", "certificate_hash"]
+    }, NODE_KEYRING);
+
     res.set("X-Quota-Limit", String(quota.limit));
     res.set("X-Quota-Used", String(quota.used + 1));
     res.set("X-Quota-Remaining", String(Math.max(0, quota.remaining - 1)));
@@ -720,6 +992,7 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
         sdkVersion: SDK_VERSION || null,
         inputHash: verification.inputHash || null,
         outputHash: bundle.outputHash || null,
+        keyId: attestation.keyId,
         status: "ATTESTED",
         meta: bundle.meta || null
       }).catch((err) => console.error("[PROOF] insert error:", err.message));
@@ -734,22 +1007,28 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
       attestationId: requestId,
       nodeRuntimeHash,
       protocolVersion: DEFAULT_PROTOCOL_VERSION,
-      attestation: {
-        attestedAt,
-        attestationId: requestId,
-        bundleType: bundle.bundleType || "codemode",
-        certificateHash: verification.certificateHash,
-        attestationHash,
-        nodeRuntimeHash,
-        protocolVersion: DEFAULT_PROTOCOL_VERSION,
-        requestId,
-        verified: true,
-        checks: ["input_hash", "certificate_hash"]
-      }
+      keyId: attestation.keyId,
+      revocationList: REVOCATION_LIST_PATH,
+      attestation
     });
   } catch (error) {
     console.error("[ATTEST] Error:", error.message);
 
+    if (error.message?.startsWith("SIGNING_KEY_UNAVAILABLE:")) {
+      logUsageEvent({
+        apiKeyId: req.apiKey?.id || null,
+        endpoint: "/api/attest",
+        statusCode: 503,
+        durationMs: Date.now() - startTime,
+        error: "SIGNING_KEY_UNAVAILABLE"
+      });
+
+      return res.status(503).json({
+        error: "SIGNING_KEY_UNAVAILABLE",
+        message: error.message.replace("SIGNING_KEY_UNAVAILABLE: ", "")
+      });
+    }
+
     logUsageEvent({
       apiKeyId: req.apiKey?.id || null,
       endpoint: "/api/attest",
@@ -766,6 +1045,13 @@ app.post("/api/attest", apiKeyAuth, async (req, res) => {
 });
 
 // ========== Proof Ledger Endpoints ==========
+// key_status is the signing key's status now, not when the proof was issued:
+// a receipt signed by a key revoked since reads "revoked". Proofs from before
+// signing have no key_id and a null status.
+function withKeyStatus(proof) {
+  return { ...proof, key_status: proof.key_id ? NODE_KEYRING.keyStatus(proof.key_id) : null };
+}
+
 app.get("/api/proofs/:certificateHash", apiKeyAuth, async (req, res) => {
   try {
     const proof = await getProofByCertificateHash(req.params.certificateHash);
@@ -775,7 +1061,7 @@ app.get("/api/proofs/:certificateHash", apiKeyAuth, async (req, res) => {
         message: "No proof found for this certificate hash"
       });
     }
-    return res.json(proof);
+    return res.json(withKeyStatus(proof));
   } catch (error) {
     console.error("[PROOFS] Lookup error:", error.message);
     return res.status(500).json({
@@ -790,7 +1076,7 @@ app.get("/api/proofs", apiKeyAuth, async (req, res) => {
     const apiKeyId = req.query.apiKeyId ? parseInt(req.query.apiKeyId, 10) : undefined;
     const limit = Math.min(parseInt(req.query.limit || "50", 10), 200);
     const offset = parseInt(req.query.offset || "0", 10);
-    const proofs = await listProofs({ apiKeyId, limit, offset });
+    const proofs = (await listProofs({ apiKeyId, limit, offset })).map(withKeyStatus);
     return res.json({ proofs, count: proofs.length, limit, offset });
   } catch (error) {
     console.error("[PROOFS] List error:", error.message);
@@ -805,8 +1091,10 @@ function detectLoopMode(code, execution) {
   if (execution && execution.mode === "loop") {
     return true;
   }
-  const hasDrawFunction = /function\s+draw\s*\(\s*\)\s*\{/.test(code);
-  return hasDrawFunction && execution && execution.totalFrames > 1;
+  if (!execution || !(execution.totalFrames > 1)) {
+    return false;
+  }
+  return analyzeSketch(code).entryPoints.draw !== null;
 }
 
 app.post("/render", async (req, res) => {
@@ -818,6 +1106,7 @@ app.post("/render", async (req, res) => {
   }
 
   const startTime = Date.now();
+  const signal = clientAbortSignal(res);
 
   try {
     const snapshot = req.body;
@@ -837,64 +1126,155 @@ app.post("/render", async (req, res) => {
     }
 
     const { code, seed, vars, execution } = snapshot;
-    const isLoopMode = detectLoopMode(code, execution);
+    const assets = resolveAssets(snapshot.assets);
+    const protocolRuntime = getProtocolRuntime(snapshot.protocolVersion ?? DEFAULT_PROTOCOL_VERSION);
+    const { protocolVersion } = protocolRuntime;
 
-    if (isLoopMode) {
-      const totalFrames = execution?.totalFrames || 120;
-      const fps = execution?.fps || 30;
+    if (snapshot.varsMode !== undefined && !VARS_MODES.includes(snapshot.varsMode)) {
+      return res.status(400).json({
+        error: "INVALID_REQUEST",
+        message: `varsMode must be one of: ${VARS_MODES.join(", ")}`,
+      });
+    }
+    const varsMode = resolveVarsMode(snapshot.varsMode);
+    if (varsMode === "strict") {
+      assertStrictVars(vars);
+    }
+    const varsNormalization = formatVarsNormalization(varsMode, protocolRuntime, vars);
+    if (varsNormalization.changes.length > 0) {
+      res.set("X-Vars-Normalized", formatVarsNormalizedHeader(varsNormalization.changes));
+    }
 
-      if (totalFrames < 2) {
-        return res.status(400).json({
-          error: "LOOP_MODE_ERROR",
-          message: "Loop mode requires totalFrames >= 2",
-        });
-      }
+    if (isFrameRequest(execution)) {
+      const { totalFrames, fps, frame } = resolveFrameExecution(execution);
+      resolveOutputFormat(execution?.output, "frame");
+      const loopEstimate = estimateLoopCost({ totalFrames, fps }, frame + 1);
+      sendLoopEstimate(res, loopEstimate);
 
-      console.log(`[LOOP MODE] Rendering ${totalFrames} frames at ${fps}fps`);
+      console.log(`[FRAME MODE] Rendering frame ${frame} of ${totalFrames} at ${fps}fps`);
 
-      const result = await renderLoop({
+      const result = await renderFrameInSandbox({
         code,
         seed,
         vars,
+        assets,
+        protocolVersion,
         totalFrames,
         fps,
+        frame,
         width: CANVAS_WIDTH,
         height: CANVAS_HEIGHT,
-      });
-
-      const executionTime = Date.now() - startTime;
+      }, { signal });
 
       return res.json({
-        type: "animation",
-        mime: "video/mp4",
-        imageHash: result.posterHash,
-        imageBase64: result.posterBase64,
-        animationBase64: result.animationBase64,
-        animationHash: result.animationHash,
-        posterBase64: result.posterBase64,
-        posterHash: result.posterHash,
-        frames: totalFrames,
-        width: CANVAS_WIDTH,
-        height: CANVAS_HEIGHT,
+        type: "frame",
+        mime: "image/png",
+        imageHash: computeHash(result.pngBuffer),
+        pixelHash: result.pixelHash,
+        frameHash: result.frameHash,
+        opStreamHash: result.opStreamHash,
+        frame: result.frame,
+        t: result.t,
+        totalFrames,
         fps,
+        loopEstimate,
+        imageBase64: result.pngBuffer.toString("base64"),
+        varsNormalization,
         metadata: {
           sdk_version: SDK_VERSION,
-          protocol_version: DEFAULT_PROTOCOL_VERSION,
+          protocol_version: protocolVersion,
+          runtime_fingerprint: protocolRuntime.fingerprint,
+          seed_derivation: protocolRuntime.seedDerivation,
+          derived_seed: result.derivedSeed,
           node_version: NODE_VERSION,
+          png_profile: protocolRuntime.canvas.pngProfile,
           canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
-          execution_time_ms: executionTime,
+          execution_time_ms: Date.now() - startTime,
           timestamp: new Date().toISOString(),
-          isLoopMode: true
+          isLoopMode: false
         },
       });
     }
 
-    const { canvas, numericSeed, normalizedVars, codeLength } = executeSnapshot(snapshot);
+    const isLoopMode = detectLoopMode(code, execution);
+
+    if (isLoopMode) {
+      const { totalFrames, fps, animationFormat, posterFrame } = resolveLoopExecution(execution);
+      resolveOutputFormat(execution?.output, "loop");
+      const loopEstimate = estimateLoopCost({ totalFrames, fps });
+      sendLoopEstimate(res, loopEstimate);
+
+      console.log(`[LOOP MODE] Rendering ${totalFrames} frames at ${fps}fps as ${animationFormat.id}`);
+
+      const result = await renderLoopInSandbox({
+        code,
+        seed,
+        vars,
+        assets,
+        protocolVersion,
+        totalFrames,
+        fps,
+        format: animationFormat.id,
+        posterFrame,
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+      }, { signal });
+
+      const executionTime = Date.now() - startTime;
+
+      // The encoded animation is streamed from disk as the trailing animationBase64 field
+      try {
+        await sendJsonWithBase64File(res, {
+          type: "animation",
+          format: result.format,
+          mime: result.mime,
+          lossless: result.lossless,
+          imageHash: result.posterHash,
+          imageBase64: result.posterBase64,
+          animationHash: result.animationHash,
+          posterBase64: result.posterBase64,
+          posterHash: result.posterHash,
+          frameRoot: result.frameRoot,
+          frameManifest: result.frameManifest,
+          opStreamHash: result.opStreamHash,
+          frames: totalFrames,
+          width: CANVAS_WIDTH,
+          height: CANVAS_HEIGHT,
+          fps,
+          loopEstimate,
+          varsNormalization,
+          metadata: {
+            sdk_version: SDK_VERSION,
+            protocol_version: protocolVersion,
+            runtime_fingerprint: protocolRuntime.fingerprint,
+            seed_derivation: protocolRuntime.seedDerivation,
+            derived_seed: result.derivedSeed,
+            node_version: NODE_VERSION,
+            png_profile: protocolRuntime.canvas.pngProfile,
+            canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
+            execution_time_ms: executionTime,
+            timestamp: new Date().toISOString(),
+            poster_frame: result.posterFrame,
+            isLoopMode: true
+          },
+        }, "animationBase64", result.animationPath);
+      } finally {
+        await removeLoopOutput(result.animationPath);
+      }
+      return;
+    }
+
+    const outputFormat = resolveOutputFormat(execution?.output);
+    const { pngBuffer, pixelHash, opStreamHash, numericSeed, derivedSeed, normalizedVars, codeLength, vector } = await renderStaticInSandbox({ ...snapshot, assets, protocolVersion }, {
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+      vectorFormat: outputFormat.canonical ? undefined : outputFormat.id,
+      signal,
+    });
     
     // Debug log to prove inputs differ
     console.log(`[STATIC MODE] seed=${numericSeed}, VAR=[${normalizedVars.slice(0, 3).join(',')}], codeLen=${codeLength}`);
     
-    const pngBuffer = canvas.toBuffer("image/png");
     const imageHash = computeHash(pngBuffer);
     const executionTime = Date.now() - startTime;
     const base64Image = pngBuffer.toString("base64");
@@ -903,11 +1283,19 @@ app.post("/render", async (req, res) => {
       type: "static",
       mime: "image/png",
       imageHash,
+      pixelHash,
+      opStreamHash,
       imageBase64: base64Image,
+      ...(vector && { vector: formatVectorOutput(vector) }),
+      varsNormalization,
       metadata: {
         sdk_version: SDK_VERSION,
-        protocol_version: DEFAULT_PROTOCOL_VERSION,
+        protocol_version: protocolVersion,
+        runtime_fingerprint: protocolRuntime.fingerprint,
+        seed_derivation: protocolRuntime.seedDerivation,
+        derived_seed: derivedSeed,
         node_version: NODE_VERSION,
+        png_profile: protocolRuntime.canvas.pngProfile,
         canvas: { width: CANVAS_WIDTH, height: CANVAS_HEIGHT },
         execution_time_ms: executionTime,
         timestamp: new Date().toISOString(),
@@ -916,11 +1304,17 @@ app.post("/render", async (req, res) => {
     });
   } catch (error) {
     console.error("Execution error:", error);
+
+    // A streamed loop response may already be partially written
+    if (res.headersSent) {
+      return res.end();
+    }
     
     if (error.message && error.message.startsWith("PROTOCOL_VIOLATION:")) {
       return res.status(400).json({
         error: "PROTOCOL_VIOLATION",
         message: error.message.replace("PROTOCOL_VIOLATION: ", ""),
+        ...error.details,
       });
     }
     
@@ -928,6 +1322,23 @@ app.post("/render", async (req, res) => {
       return res.status(400).json({
         error: "LOOP_MODE_ERROR",
         message: error.message.replace("LOOP_MODE_ERROR: ", ""),
+        ...error.details,
+      });
+    }
+
+    if (error.message && error.message.startsWith("INVALID_SKETCH:")) {
+      return res.status(400).json({
+        error: "INVALID_SKETCH",
+        message: error.message.replace("INVALID_SKETCH: ", ""),
+        ...error.details,
+      });
+    }
+
+    const sandboxErrorCode = getSandboxErrorCode(error);
+    if (sandboxErrorCode) {
+      return res.status(SANDBOX_ERROR_STATUS[sandboxErrorCode]).json({
+        error: sandboxErrorCode,
+        message: error.message.replace(`${sandboxErrorCode}: `, ""),
       });
     }
     
@@ -938,11 +1349,69 @@ app.post("/render", async (req, res) => {
   }
 });
 
+// Expected images are compared pixel for pixel with the canonical canvas, so
+// anything but a canvas-sized PNG is rejected before it is decoded.
+function decodeExpectedPng(base64, field) {
+  const png = typeof base64 === "string" ? Buffer.from(base64, "base64") : null;
+  const size = png ? pngDimensions(png) : null;
+  if (!size) {
+    throw new Error(`INVALID_REQUEST: ${field} must be a base64-encoded PNG`);
+  }
+  if (size.width !== CANVAS_WIDTH || size.height !== CANVAS_HEIGHT) {
+    throw new Error(`INVALID_REQUEST: ${field} is ${size.width}x${size.height}; expected ${CANVAS_WIDTH}x${CANVAS_HEIGHT}`);
+  }
+  return png;
+}
+
+// Sent as a 103 Early Hints response once a loop or frame request is
+// validated, so clients see what it will cost before any frame is rendered.
+// Node only sends early hints that carry a Link; /version lists the limits.
+function sendLoopEstimate(res, loopEstimate) {
+  res.writeEarlyHints({
+    link: "</version>; rel=\"describedby\"",
+    "x-estimated-render-ms": String(loopEstimate.estimatedRenderMs),
+    "x-loop-estimate": JSON.stringify(loopEstimate),
+  });
+}
+
+// Expected images are compared by their decoded pixels, so a re-encoded PNG
+// of the same render still verifies
+function pixelsMatch(report) {
+  return !report.dimensionMismatch && report.changedPixels === 0;
+}
+
+function formatDiffReport({ heatmapPng, ...report }) {
+  return heatmapPng ? { ...report, heatmapBase64: heatmapPng.toString("base64") } : report;
+}
+
+function formatVectorOutput({ buffer, ...vector }) {
+  return { ...vector, base64: buffer.toString("base64") };
+}
+
+// Lenient renders report every VAR entry the runtime's normalization changed;
+// strict renders have already rejected any such entry
+function formatVarsNormalization(mode, protocolRuntime, vars) {
+  const { changes } = protocolRuntime.normalizeVars(vars);
+  return { mode, normalization: protocolRuntime.varNormalization, changes };
+}
+
 app.post("/verify", async (req, res) => {
   const startTime = Date.now();
+  const signal = clientAbortSignal(res);
 
   try {
-    const { snapshot, expectedHash, expectedAnimationHash, expectedPosterHash } = req.body;
+    const {
+      snapshot,
+      expectedHash,
+      expectedPixelHash,
+      expectedImageBase64,
+      expectedAnimationHash,
+      expectedPosterHash,
+      expectedPosterBase64,
+      expectedFrameRoot,
+      expectedFrameHashes,
+      expectedOpStreamHash,
+    } = req.body;
 
     if (!snapshot || typeof snapshot !== "object") {
       return res.status(400).json({
@@ -952,57 +1421,97 @@ app.post("/verify", async (req, res) => {
     }
 
     const { code, seed, vars, execution } = snapshot;
+    const assets = resolveAssets(snapshot.assets);
+    const protocolRuntime = getProtocolRuntime(snapshot.protocolVersion ?? DEFAULT_PROTOCOL_VERSION);
+    const { protocolVersion } = protocolRuntime;
     const isLoopMode = detectLoopMode(code, execution);
 
     if (isLoopMode) {
       // Loop mode verification
-      if (!expectedAnimationHash && !expectedPosterHash && !expectedHash) {
+      if (!expectedAnimationHash && !expectedPosterHash && !expectedPosterBase64 && !expectedFrameRoot && !expectedFrameHashes && !expectedOpStreamHash && !expectedHash) {
         return res.status(400).json({
           error: "INVALID_REQUEST",
-          message: "Loop mode requires expectedAnimationHash, expectedPosterHash, or expectedHash",
+          message: "Loop mode requires expectedAnimationHash, expectedPosterHash, expectedPosterBase64, expectedFrameRoot, expectedFrameHashes, expectedOpStreamHash, or expectedHash",
         });
       }
 
-      const totalFrames = execution?.totalFrames || 120;
-      const fps = execution?.fps || 30;
-
-      if (totalFrames < 2) {
+      if (expectedFrameHashes !== undefined && (!Array.isArray(expectedFrameHashes) || !expectedFrameHashes.every(h => typeof h === "string"))) {
         return res.status(400).json({
-          error: "LOOP_MODE_ERROR",
-          message: "Loop mode requires totalFrames >= 2",
+          error: "INVALID_REQUEST",
+          message: "expectedFrameHashes must be an array of frame hash strings",
         });
       }
 
-      console.log(`[VERIFY LOOP MODE] Re-rendering ${totalFrames} frames at ${fps}fps`);
+      // A submitted poster image stands in for expectedPosterHash: it is
+      // compared by its decoded pixels and enables the pixel diff
+      const expectedPosterPng = expectedPosterBase64 ? decodeExpectedPng(expectedPosterBase64, "expectedPosterBase64") : null;
+      const expectedPosterDigest = expectedPosterHash || (expectedPosterPng ? computeHash(expectedPosterPng) : undefined);
+
+      // expectedAnimationHash is only meaningful for the format it was encoded in, and
+      // expectedPosterHash is checked against the snapshot's execution.posterFrame
+      const { totalFrames, fps, animationFormat, posterFrame } = resolveLoopExecution(execution);
+
+      console.log(`[VERIFY LOOP MODE] Re-rendering ${totalFrames} frames at ${fps}fps as ${animationFormat.id}`);
 
-      const result = await renderLoop({
+      const result = await renderLoopInSandbox({
         code,
         seed,
         vars,
+        assets,
+        protocolVersion,
         totalFrames,
         fps,
+        format: animationFormat.id,
+        posterFrame,
         width: CANVAS_WIDTH,
         height: CANVAS_HEIGHT,
-      });
+      }, { signal });
+
+      // Only the hashes are needed here; release the encoded video immediately
+      await removeLoopOutput(result.animationPath);
 
       const computedAnimationHash = result.animationHash;
       const computedPosterHash = result.posterHash;
+      const computedFrameRoot = result.frameRoot;
 
       // Determine verification result
       // Only set verified flags if the corresponding expected hash is provided
       let animationVerified = null;
       let posterVerified = null;
+      let frameRootVerified = null;
+      let frameHashesVerified = null;
+      let opStreamVerified = null;
+      let firstDivergentFrame = null;
       let hashMatchType = null;
 
       if (expectedAnimationHash) {
         animationVerified = computedAnimationHash === expectedAnimationHash;
       }
+      const posterDiff = expectedPosterPng
+        ? await diffPngsInSandbox(expectedPosterPng, Buffer.from(result.posterBase64, "base64"), { signal })
+        : null;
       if (expectedPosterHash) {
         posterVerified = computedPosterHash === expectedPosterHash;
+      } else if (posterDiff) {
+        posterVerified = pixelsMatch(posterDiff);
+      }
+      // Frame root is encoder-independent: it covers raw frame pixels, not MP4 bytes
+      if (expectedFrameRoot) {
+        frameRootVerified = computedFrameRoot === expectedFrameRoot;
+      }
+      if (expectedFrameHashes) {
+        firstDivergentFrame = findFirstDivergentFrame(expectedFrameHashes, result.frameManifest.frameHashes);
+        frameHashesVerified = firstDivergentFrame === null;
       }
+      // The op stream is rasterizer-independent: it covers the drawing calls, not pixels
+      if (expectedOpStreamHash) {
+        opStreamVerified = result.opStreamHash === expectedOpStreamHash;
+      }
+
+      const legacyHashOnly = expectedHash && !expectedAnimationHash && !expectedPosterDigest && !expectedFrameRoot && !expectedFrameHashes && !expectedOpStreamHash;
 
       // If only expectedHash provided (backward compat), check against both and report which matched
-      if (expectedHash && !expectedAnimationHash && !expectedPosterHash) {
+      if (legacyHashOnly) {
         const posterMatches = computedPosterHash === expectedHash;
         const animationMatches = computedAnimationHash === expectedHash;
         
@@ -1025,24 +1534,36 @@ app.post("/verify", async (req, res) => {
       // If a hash wasn't requested, it doesn't affect verification
       const animOk = animationVerified === null || animationVerified === true;
       const posterOk = posterVerified === null || posterVerified === true;
-      const atLeastOneChecked = animationVerified !== null || posterVerified !== null;
-      const verified = atLeastOneChecked && animOk && posterOk;
+      const frameRootOk = frameRootVerified === null || frameRootVerified === true;
+      const frameHashesOk = frameHashesVerified === null || frameHashesVerified === true;
+      const opStreamOk = opStreamVerified === null || opStreamVerified === true;
+      const atLeastOneChecked = animationVerified !== null || posterVerified !== null || frameRootVerified !== null || frameHashesVerified !== null || opStreamVerified !== null;
+      const verified = atLeastOneChecked && animOk && posterOk && frameRootOk && frameHashesOk && opStreamOk;
       const executionTime = Date.now() - startTime;
 
       const response = {
         verified,
         mode: "loop",
+        format: result.format,
+        mime: result.mime,
         computedAnimationHash,
         computedPosterHash,
+        computedFrameRoot,
+        computedOpStreamHash: result.opStreamHash,
         protocolCompliant: verified,
         metadata: {
           sdk_version: SDK_VERSION,
-          protocol_version: DEFAULT_PROTOCOL_VERSION,
+          protocol_version: protocolVersion,
+          runtime_fingerprint: protocolRuntime.fingerprint,
+          seed_derivation: protocolRuntime.seedDerivation,
+          derived_seed: result.derivedSeed,
           node_version: NODE_VERSION,
+          png_profile: protocolRuntime.canvas.pngProfile,
           execution_time_ms: executionTime,
           timestamp: new Date().toISOString(),
           frames: totalFrames,
           fps,
+          poster_frame: result.posterFrame,
         },
       };
 
@@ -1051,11 +1572,40 @@ app.post("/verify", async (req, res) => {
         response.expectedAnimationHash = expectedAnimationHash;
         response.animationVerified = animationVerified;
       }
-      if (expectedPosterHash) {
-        response.expectedPosterHash = expectedPosterHash;
+      if (expectedPosterDigest) {
+        response.expectedPosterHash = expectedPosterDigest;
         response.posterVerified = posterVerified;
       }
-      if (expectedHash && !expectedAnimationHash && !expectedPosterHash) {
+      if (expectedFrameRoot) {
+        response.expectedFrameRoot = expectedFrameRoot;
+        response.frameRootVerified = frameRootVerified;
+      }
+      if (expectedFrameHashes) {
+        response.frameHashesVerified = frameHashesVerified;
+      }
+      if (expectedOpStreamHash) {
+        response.expectedOpStreamHash = expectedOpStreamHash;
+        response.opStreamVerified = opStreamVerified;
+      }
+
+      // Mismatch report: where the frame sequence diverges and, given the
+      // expected poster image, what changed in it
+      if (!verified) {
+        const diff = {};
+        if (expectedFrameHashes) {
+          const computedFrameHashes = result.frameManifest.frameHashes;
+          diff.firstDivergentFrame = firstDivergentFrame;
+          diff.divergentFrames = computedFrameHashes.filter((hash, i) => expectedFrameHashes[i] !== hash).length
+            + Math.max(0, expectedFrameHashes.length - computedFrameHashes.length);
+        }
+        if (posterDiff && posterVerified === false) {
+          diff.poster = formatDiffReport(posterDiff);
+        }
+        if (Object.keys(diff).length > 0) {
+          response.diff = diff;
+        }
+      }
+      if (legacyHashOnly) {
         response.expectedHash = expectedHash;
         response.animationVerified = animationVerified;
         response.posterVerified = posterVerified;
@@ -1067,30 +1617,70 @@ app.post("/verify", async (req, res) => {
       return res.json(response);
     }
 
-    // Static mode verification (original behavior)
-    if (!expectedHash || typeof expectedHash !== "string") {
+    // Static mode verification
+    const hasExpectedHash = typeof expectedHash === "string" && expectedHash.length > 0;
+    const hasExpectedPixelHash = typeof expectedPixelHash === "string" && expectedPixelHash.length > 0;
+    const hasExpectedOpStreamHash = typeof expectedOpStreamHash === "string" && expectedOpStreamHash.length > 0;
+
+    if (!hasExpectedHash && !hasExpectedPixelHash && !hasExpectedOpStreamHash && !expectedImageBase64) {
       return res.status(400).json({
         error: "INVALID_REQUEST",
-        message: "Static mode requires expectedHash string",
+        message: "Static mode requires expectedHash, expectedPixelHash, expectedOpStreamHash or expectedImageBase64",
       });
     }
 
-    const { canvas } = executeSnapshot(snapshot);
-    const pngBuffer = canvas.toBuffer("image/png");
+    const expectedPng = expectedImageBase64 ? decodeExpectedPng(expectedImageBase64, "expectedImageBase64") : null;
+
+    const { pngBuffer, pixelHash: computedPixelHash, opStreamHash: computedOpStreamHash, derivedSeed } = await renderStaticInSandbox({ ...snapshot, assets, protocolVersion }, {
+      width: CANVAS_WIDTH,
+      height: CANVAS_HEIGHT,
+      signal,
+    });
     const computedHash = computeHash(pngBuffer);
-    const verified = computedHash === expectedHash;
+
+    // expectedHash may be either the PNG hash or the canonical pixel hash
+    let hashMatchType = null;
+    if (hasExpectedHash) {
+      if (computedHash === expectedHash) {
+        hashMatchType = "png";
+      } else if (computedPixelHash === expectedHash) {
+        hashMatchType = "pixels";
+      }
+    }
+
+    const hashOk = !hasExpectedHash || hashMatchType !== null;
+    const pixelHashOk = !hasExpectedPixelHash || computedPixelHash === expectedPixelHash;
+    const imageDiff = expectedPng ? await diffPngsInSandbox(expectedPng, pngBuffer, { signal }) : null;
+    const imageVerified = imageDiff ? pixelsMatch(imageDiff) : undefined;
+    const opStreamVerified = hasExpectedOpStreamHash ? computedOpStreamHash === expectedOpStreamHash : undefined;
+    const verified = hashOk && pixelHashOk && imageVerified !== false && opStreamVerified !== false;
+
+    // Mismatch report against the submitted expected image
+    const diff = !verified && imageDiff ? formatDiffReport(imageDiff) : undefined;
     const executionTime = Date.now() - startTime;
 
     res.json({
       verified,
       mode: "static",
       computedHash,
+      computedPixelHash,
+      computedOpStreamHash,
       expectedHash,
+      expectedPixelHash,
+      expectedOpStreamHash,
+      hashMatchType: hashMatchType || undefined,
+      imageVerified,
+      opStreamVerified,
+      diff,
       protocolCompliant: verified,
       metadata: {
         sdk_version: SDK_VERSION,
-        protocol_version: DEFAULT_PROTOCOL_VERSION,
+        protocol_version: protocolVersion,
+        runtime_fingerprint: protocolRuntime.fingerprint,
+        seed_derivation: protocolRuntime.seedDerivation,
+        derived_seed: derivedSeed,
         node_version: NODE_VERSION,
+        png_profile: protocolRuntime.canvas.pngProfile,
         execution_time_ms: executionTime,
         timestamp: new Date().toISOString(),
       },
@@ -1098,10 +1688,19 @@ app.post("/verify", async (req, res) => {
   } catch (error) {
     console.error("Verification error:", error);
     
+    if (error.message && error.message.startsWith("INVALID_REQUEST:")) {
+      return res.status(400).json({
+        error: "INVALID_REQUEST",
+        message: error.message.replace("INVALID_REQUEST: ", ""),
+        verified: false,
+      });
+    }
+
     if (error.message && error.message.startsWith("PROTOCOL_VIOLATION:")) {
       return res.status(400).json({
         error: "PROTOCOL_VIOLATION",
         message: error.message.replace("PROTOCOL_VIOLATION: ", ""),
+        ...error.details,
         verified: false,
       });
     }
@@ -1110,6 +1709,25 @@ app.post("/verify", async (req, res) => {
       return res.status(400).json({
         error: "LOOP_MODE_ERROR",
         message: error.message.replace("LOOP_MODE_ERROR: ", ""),
+        ...error.details,
+        verified: false,
+      });
+    }
+
+    if (error.message && error.message.startsWith("INVALID_SKETCH:")) {
+      return res.status(400).json({
+        error: "INVALID_SKETCH",
+        message: error.message.replace("INVALID_SKETCH: ", ""),
+        ...error.details,
+        verified: false,
+      });
+    }
+
+    const sandboxErrorCode = getSandboxErrorCode(error);
+    if (sandboxErrorCode) {
+      return res.status(SANDBOX_ERROR_STATUS[sandboxErrorCode]).json({
+        error: sandboxErrorCode,
+        message: error.message.replace(`${sandboxErrorCode}: `, ""),
         verified: false,
       });
     }
@@ -1181,7 +1799,8 @@ app.get("/admin/debug/runtime", requireAdmin, async (req, res) => {
     hasCerIngestSecret: !!process.env.CER_INGEST_SECRET,
     dbPing: dbStatus,
     inFlightRequests,
-    isShuttingDown
+    isShuttingDown,
+    sandbox: getSandboxStats()
   });
 });
 
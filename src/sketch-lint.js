@@ -0,0 +1,253 @@
+import { parseSketchSource, findEntryPoints } from "./sketch-loader.js";
+import { findNondeterministicCalls, declaredNames } from "./determinism-guard.js";
+import { walkAst, memberName, isReference } from "./ast-walk.js";
+import { resolveFontFamily, approvedFontNames } from "./fonts.js";
+import { isFrameRequest, resolveFrameExecution, resolveLoopExecution } from "./loop-timing.js";
+import { resolveOutputFormat } from "./output-formats.js";
+import { LOOP_LIMITS, estimateLoopCost } from "./loop-limits.js";
+import { VAR_COUNT, inspectVars } from "./vars.js";
+import { SUPPORTED_PROTOCOL_VERSIONS, getProtocolRuntime } from "./protocol-runtimes.js";
+
+// Pre-flight checks for /api/lint. Mirrors what a render would reject (or
+// silently normalize) without executing the sketch. Diagnostics carry 1-based
+// line/column when they point at source code.
+function diagnostic(severity, code, message, loc) {
+  return loc
+    ? { severity, code, message, line: loc.line, column: loc.column }
+    : { severity, code, message };
+}
+
+function locOf(node) {
+  return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+}
+
+function stripPrefix(message, prefix) {
+  return message.replace(`${prefix}: `, "");
+}
+
+function isAssignmentTarget(node, parent) {
+  return (parent?.type === "AssignmentExpression" && parent.left === node)
+    || (parent?.type === "UpdateExpression" && parent.argument === node)
+    || (parent?.type === "UnaryExpression" && parent.operator === "delete" && parent.argument === node);
+}
+
+// `protocolRuntime` is null when the requested version has no runtime; only
+// source checks that depend on it are skipped
+function lintSource(ast, protocolRuntime) {
+  const diagnostics = [];
+  const pinnedFonts = Boolean(protocolRuntime?.canvas.fontSet);
+  const declared = declaredNames(ast);
+
+  walkAst(ast, (node, parent) => {
+    if (node.type === "CallExpression") {
+      const callee = node.callee;
+      const name = callee.type === "Identifier" ? callee.name
+        : callee.type === "MemberExpression" ? memberName(callee) : null;
+      if (name === "createCanvas") {
+        diagnostics.push(diagnostic("error", "FORBIDDEN_API",
+          "createCanvas() is not allowed. Canvas is hard-locked to 1950x2400 by NexArt Protocol.", locOf(node)));
+      }
+      const [fontArg] = node.arguments;
+      if (pinnedFonts && name === "textFont" && fontArg?.type === "Literal" && typeof fontArg.value === "string" && !resolveFontFamily(fontArg.value)) {
+        diagnostics.push(diagnostic("error", "UNAPPROVED_FONT",
+          `textFont(${JSON.stringify(fontArg.value)}) is not allowed. Approved fonts: ${approvedFontNames().join(", ")}`, locOf(node)));
+      }
+    }
+
+    if (node.type === "MemberExpression" && node.object.type === "Identifier" && node.object.name === "VAR") {
+      if (isAssignmentTarget(node, parent)) {
+        diagnostics.push(diagnostic("error", "VAR_READ_ONLY",
+          "VAR is read-only; VAR[0..9] are protocol inputs, not sketch state", locOf(node)));
+      }
+      if (node.computed && node.property.type === "Literal" && typeof node.property.value === "number") {
+        const index = node.property.value;
+        if (!Number.isInteger(index) || index < 0 || index >= VAR_COUNT) {
+          diagnostics.push(diagnostic("error", "VAR_INDEX_OUT_OF_RANGE",
+            `VAR[${index}] is out of range; VAR has ${VAR_COUNT} entries (VAR[0]..VAR[${VAR_COUNT - 1}])`, locOf(node)));
+        }
+      }
+    }
+
+    if (node.type === "Identifier" && node.name === "VAR" && isAssignmentTarget(node, parent)) {
+      diagnostics.push(diagnostic("error", "VAR_READ_ONLY",
+        "VAR is read-only; VAR[0..9] are protocol inputs, not sketch state", locOf(node)));
+    }
+
+    // Names a later protocol version added do not exist in this runtime
+    // unless the sketch declares them itself (see protocol-runtimes.js)
+    if (node.type === "Identifier" && protocolRuntime && !declared.has(node.name) && isReference(node, parent)) {
+      const extension = protocolRuntime.missingApi(node.name);
+      if (extension) {
+        diagnostics.push(diagnostic("error", "UNAVAILABLE_API",
+          `${node.name} is not available in protocol ${protocolRuntime.protocolVersion}; it was added by ${extension}`, locOf(node)));
+      }
+    }
+  });
+
+  for (const call of findNondeterministicCalls(ast)) {
+    diagnostics.push(diagnostic("error", "NONDETERMINISTIC_API",
+      `${call.api} is not deterministic; use random()/noise() and frameCount, t or time instead`, call));
+  }
+
+  return diagnostics;
+}
+
+// The same entries a lenient render normalizes and a strict render rejects
+function lintVars(vars, varsMode) {
+  const issues = inspectVars(vars);
+  if (varsMode === "strict") {
+    return issues.map(issue => diagnostic("error", "INVALID_VAR", issue.message));
+  }
+  if (issues.some(issue => issue.reason === "not_an_array")) {
+    return [diagnostic("error", "INVALID_VAR", "VAR must be an array of up to 10 numbers")];
+  }
+
+  const diagnostics = [];
+  if (issues.some(issue => issue.reason === "extra_entry")) {
+    diagnostics.push(diagnostic("warning", "VAR_VALUE_IGNORED",
+      `VAR has ${vars.length} entries; only the first ${VAR_COUNT} are used`));
+  }
+  for (const { index, value, reason } of issues) {
+    if (reason === "extra_entry") continue;
+    diagnostics.push(diagnostic("warning", "VAR_VALUE_OUT_OF_RANGE",
+      `VAR[${index}] = ${JSON.stringify(value)} is outside 0-100 and will be rendered as 0`));
+  }
+  return diagnostics;
+}
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// What each `execution` field must be when present (null means absent).
+// Checked up front because a static render ignores the loop fields and would
+// never report them.
+const EXECUTION_FIELDS = {
+  mode: { valid: (value) => typeof value === "string", expected: "a string" },
+  totalFrames: { valid: Number.isInteger, expected: "an integer" },
+  fps: { valid: isFiniteNumber, expected: "a finite number" },
+  frame: { valid: Number.isInteger, expected: "an integer" },
+  t: { valid: isFiniteNumber, expected: "a finite number" },
+  posterFrame: { valid: (value) => Number.isInteger(value) || isPlainObject(value), expected: "a frame index or an object with frame or t" },
+  format: { valid: (value) => typeof value === "string", expected: "a string" },
+  output: { valid: (value) => typeof value === "string", expected: "a string" },
+};
+
+function lintExecutionFields(execution) {
+  if (execution === undefined || execution === null) return [];
+  if (!isPlainObject(execution)) {
+    return [diagnostic("error", "INVALID_EXECUTION", "execution must be an object")];
+  }
+  return Object.entries(EXECUTION_FIELDS)
+    .filter(([field, { valid }]) => execution[field] !== undefined && execution[field] !== null && !valid(execution[field]))
+    .map(([field, { expected }]) => diagnostic("error", "INVALID_EXECUTION",
+      `execution.${field} must be ${expected}, got ${JSON.stringify(execution[field])}`));
+}
+
+function resolveMode(execution, entryPoints) {
+  if (isFrameRequest(execution)) return "frame";
+  if (execution?.mode === "loop") return "loop";
+  if (execution?.totalFrames > 1 && entryPoints?.draw) return "loop";
+  return "static";
+}
+
+function lintOutput(mode, execution) {
+  try {
+    resolveOutputFormat(execution?.output, mode);
+    return [];
+  } catch (error) {
+    if (!error.message?.startsWith("PROTOCOL_VIOLATION:")) throw error;
+    return [diagnostic("error", "UNSUPPORTED_OUTPUT", stripPrefix(error.message, "PROTOCOL_VIOLATION"))];
+  }
+}
+
+// Returns the diagnostics and, when the execution is within `limits`, the
+// estimate of what rendering it would cost
+function lintExecution(mode, execution, entryPoints, limits) {
+  if (mode === "static") return { diagnostics: [], loopEstimate: null };
+
+  const diagnostics = [];
+  let loopEstimate = null;
+  if (entryPoints && !entryPoints.draw) {
+    diagnostics.push(diagnostic("error", "LOOP_MODE_ERROR", "draw() function required for loop mode"));
+  }
+  try {
+    if (mode === "frame") {
+      const { totalFrames, fps, frame } = resolveFrameExecution(execution, limits);
+      loopEstimate = estimateLoopCost({ totalFrames, fps }, frame + 1);
+    } else {
+      loopEstimate = estimateLoopCost(resolveLoopExecution(execution, limits));
+    }
+  } catch (error) {
+    if (!error.message?.startsWith("LOOP_MODE_ERROR:")) throw error;
+    diagnostics.push(diagnostic("error", "LOOP_MODE_ERROR", stripPrefix(error.message, "LOOP_MODE_ERROR")));
+  }
+  return { diagnostics, loopEstimate };
+}
+
+export function lintSketch({ code, execution, VAR, protocolVersion }, { supportedProtocolVersions, defaultProtocolVersion, varsMode = "lenient", loopLimits = LOOP_LIMITS }) {
+  const diagnostics = [];
+  let entryPoints = null;
+  let ast = null;
+
+  if (protocolVersion === undefined || protocolVersion === null) {
+    diagnostics.push(diagnostic("info", "PROTOCOL_VERSION_DEFAULTED",
+      `protocolVersion not provided; renders will use ${defaultProtocolVersion}`));
+  } else if (!supportedProtocolVersions.includes(protocolVersion)) {
+    diagnostics.push(diagnostic("error", "UNSUPPORTED_PROTOCOL_VERSION",
+      `Unsupported protocol version: ${protocolVersion}. Supported: ${supportedProtocolVersions.join(", ")}`));
+  }
+
+  diagnostics.push(...lintVars(VAR, varsMode));
+
+  try {
+    ast = parseSketchSource(code);
+  } catch (error) {
+    if (!error.message?.startsWith("INVALID_SKETCH:")) throw error;
+    diagnostics.push(diagnostic("error", "SYNTAX_ERROR", stripPrefix(error.message, "INVALID_SKETCH"), error.details?.line ? error.details : null));
+  }
+
+  if (ast) {
+    try {
+      entryPoints = findEntryPoints(ast);
+      if (!entryPoints.setup && !entryPoints.draw) {
+        diagnostics.push(diagnostic("error", "MISSING_ENTRY_POINT", "Sketch must declare a setup() or draw() function"));
+      }
+    } catch (error) {
+      if (!error.message?.startsWith("INVALID_SKETCH:")) throw error;
+      diagnostics.push(diagnostic("error", "INVALID_ENTRY_POINT", stripPrefix(error.message, "INVALID_SKETCH"), error.details));
+    }
+    const resolvedVersion = protocolVersion ?? defaultProtocolVersion;
+    const protocolRuntime = SUPPORTED_PROTOCOL_VERSIONS.includes(resolvedVersion) ? getProtocolRuntime(resolvedVersion) : null;
+    diagnostics.push(...lintSource(ast, protocolRuntime));
+  }
+
+  const mode = resolveMode(execution, entryPoints);
+  const fieldDiagnostics = lintExecutionFields(execution);
+  let loopEstimate = null;
+  if (fieldDiagnostics.length > 0) {
+    // Resolving a malformed execution block would only restate these
+    diagnostics.push(...fieldDiagnostics);
+  } else {
+    const resolved = lintExecution(mode, execution, entryPoints, loopLimits);
+    loopEstimate = resolved.loopEstimate;
+    diagnostics.push(...resolved.diagnostics);
+    diagnostics.push(...lintOutput(mode, execution));
+  }
+
+  // Request-level diagnostics first, then source diagnostics in source order
+  diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+
+  const errorCount = diagnostics.filter(d => d.severity === "error").length;
+  const warningCount = diagnostics.filter(d => d.severity === "warning").length;
+
+  return {
+    valid: errorCount === 0,
+    mode,
+    protocolVersion: protocolVersion ?? defaultProtocolVersion,
+    entryPoints,
+    loopEstimate,
+    errorCount,
+    warningCount,
+    diagnostics,
+  };
+}
@@ -0,0 +1,113 @@
+import { parse } from "acorn";
+import { assertDeterministic, createDeterminismGuards } from "./determinism-guard.js";
+
+const ENTRY_POINTS = ["setup", "draw"];
+
+// Host globals a sketch has no business reaching. They are bound to undefined
+// in the innermost scope, so bare references never fall through to the
+// worker's global object. This is not isolation: the global object is still
+// reachable (e.g. through a function's constructor), which is why every
+// render gets a worker of its own (see sandbox.js).
+const SHADOWED_GLOBALS = ["process", "globalThis", "global", "self", "require", "module", "Function", "eval"];
+
+function createSketchScope() {
+  const scope = Object.create(null);
+  for (const name of SHADOWED_GLOBALS) {
+    scope[name] = undefined;
+  }
+  return Object.freeze(Object.assign(scope, createDeterminismGuards()));
+}
+
+function invalidSketch(message, loc) {
+  const error = new Error(`INVALID_SKETCH: ${message}${loc ? ` (line ${loc.line}, column ${loc.column + 1})` : ""}`);
+  error.details = loc ? { line: loc.line, column: loc.column + 1 } : {};
+  return error;
+}
+
+function isFunctionNode(node) {
+  return node?.type === "FunctionExpression" || node?.type === "ArrowFunctionExpression";
+}
+
+export function parseSketchSource(code) {
+  if (typeof code !== "string") {
+    throw invalidSketch("code must be a string");
+  }
+
+  try {
+    return parse(code, { ecmaVersion: "latest", sourceType: "script", locations: true });
+  } catch (error) {
+    if (error instanceof SyntaxError && error.loc) {
+      throw invalidSketch(`Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, "")}`, error.loc);
+    }
+    throw error;
+  }
+}
+
+// Resolves top-level setup/draw declarations by name. Both `function setup() {}`
+// and `const setup = () => {}` forms are accepted; anything else bound to those
+// names is rejected with its source location.
+export function findEntryPoints(ast) {
+  const entryPoints = { setup: null, draw: null };
+
+  const record = (name, node, isFunction) => {
+    if (!ENTRY_POINTS.includes(name)) return;
+    if (!isFunction) {
+      throw invalidSketch(`${name} must be declared as a function`, node.loc.start);
+    }
+    if (entryPoints[name]) {
+      throw invalidSketch(`${name}() is declared more than once`, node.loc.start);
+    }
+    entryPoints[name] = { line: node.loc.start.line, column: node.loc.start.column + 1 };
+  };
+
+  for (const statement of ast.body) {
+    if (statement.type === "FunctionDeclaration") {
+      record(statement.id.name, statement, true);
+    } else if (statement.type === "VariableDeclaration") {
+      for (const declarator of statement.declarations) {
+        if (declarator.id.type === "Identifier") {
+          record(declarator.id.name, declarator, isFunctionNode(declarator.init));
+        }
+      }
+    } else if (statement.type === "ClassDeclaration") {
+      record(statement.id.name, statement, false);
+    }
+  }
+
+  return entryPoints;
+}
+
+export function analyzeSketch(code) {
+  const ast = parseSketchSource(code);
+  const entryPoints = findEntryPoints(ast);
+
+  if (!entryPoints.setup && !entryPoints.draw) {
+    throw invalidSketch("Sketch must declare a setup() or draw() function");
+  }
+
+  assertDeterministic(ast);
+
+  return { ast, entryPoints };
+}
+
+// Evaluates the whole sketch program once inside the runtime scope, so
+// top-level globals and helpers are shared by setup() and draw() exactly as in
+// p5 global mode, then hands back the entry points by name. The determinism
+// guards form the innermost scope so they shadow Math, Date and performance,
+// along with the host globals listed in SHADOWED_GLOBALS.
+export function loadSketch(code, p) {
+  const { entryPoints } = analyzeSketch(code);
+
+  const program = new Function(
+    "p",
+    "guards",
+    `with(p) { with(guards) {\n${code}\n;return { setup: typeof setup === "function" ? setup : null, draw: typeof draw === "function" ? draw : null };\n} }`
+  );
+
+  const { setup, draw } = program(p, createSketchScope());
+
+  return {
+    setup: entryPoints.setup ? setup : null,
+    draw: entryPoints.draw ? draw : null,
+  };
+}
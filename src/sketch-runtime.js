@@ -0,0 +1,91 @@
+import { createCanvas, Image } from "canvas";
+import { createP5Runtime } from "@nexart/codemode-sdk/node";
+import { extendP5Runtime } from "./p5-extensions.js";
+import { enforceDrawOpBudget } from "./resource-limits.js";
+import { createDisplayListRecorder } from "./display-list.js";
+import { createOpStream } from "./op-stream.js";
+
+// Offscreen buffers are part of the protocol, not deployment tuning: a sketch
+// that renders on one node must render on every node, so these limits are
+// fixed rather than read from the environment. Each buffer is a native canvas
+// outside the worker's V8 heap cap, hence the explicit count.
+export const GRAPHICS_LIMITS = Object.freeze({
+  maxBuffers: 8,
+});
+
+// Buffers and loaded images draw random()/noise() from the main runtime, as
+// p5.Graphics does, so there is one seeded stream per render however many
+// buffers exist.
+const SHARED_RUNTIME_FUNCTIONS = [
+  "random", "randomSeed", "randomGaussian",
+  "noise", "noiseSeed", "noiseDetail",
+];
+
+// Builds the runtime a sketch executes against: the SDK runtime on a fresh
+// canvas with the protocol extensions and draw-op budget applied. Every
+// createGraphics() buffer is built the same way and shares the budget.
+// `assets` is the verified hash -> PNG bytes map from resolveAssets(). With
+// `record`, the main canvas' drawing is also captured as a display list for
+// vector output; buffers reach it only through image(). Every runtime is
+// instrumented into one op stream (op-stream.js), returned as `opStream`.
+// `protocolRuntime` (protocol-runtimes.js) trims the API to its version.
+export function createSketchRuntime({ width, height, seed, maxDrawOps, assets = {}, protocolRuntime, record = false }) {
+  const budget = { used: 0 };
+  const loadedImages = new Map();
+  const opStream = createOpStream();
+  let bufferCount = 0;
+  let main = null;
+
+  const build = (w, h, target, { recordDisplayList = false } = {}) => {
+    const canvas = createCanvas(w, h);
+    const recorder = recordDisplayList ? createDisplayListRecorder(canvas.getContext("2d"), { createCanvas }) : null;
+    const surface = recorder ? recorder.wrapCanvas(canvas) : canvas;
+    const p = createP5Runtime(surface, w, h, { seed });
+    extendP5Runtime(p, surface, { createGraphics, loadImage, canvasProfile: protocolRuntime.canvas });
+    protocolRuntime.restrictApi(p);
+    enforceDrawOpBudget(p, maxDrawOps, budget);
+    opStream.instrument(p, target);
+    if (main) {
+      for (const name of SHARED_RUNTIME_FUNCTIONS) {
+        if (typeof main.p[name] === "function") p[name] = main.p[name];
+      }
+    }
+    return recorder ? { canvas, p, getDisplayList: recorder.getDisplayList } : { canvas, p };
+  };
+
+  // Synchronous: assets arrive with the snapshot, so there is nothing to
+  // preload. Each hash is decoded once per render and the same image is
+  // returned on every call.
+  function loadImage(hash) {
+    if (loadedImages.has(hash)) return loadedImages.get(hash);
+    if (typeof hash !== "string" || !Object.hasOwn(assets, hash)) {
+      throw new Error(`PROTOCOL_VIOLATION: loadImage(${JSON.stringify(String(hash))}) does not name an asset in this snapshot. Assets are loaded by their "sha256:<hex>" key.`);
+    }
+
+    const bytes = assets[hash];
+    const image = new Image();
+    // Set synchronously from a Buffer; worker messages deliver plain Uint8Arrays
+    image.src = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const { canvas, p: img } = build(image.width, image.height, `asset:${hash}`);
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    loadedImages.set(hash, img);
+    return img;
+  }
+
+  function createGraphics(w, h) {
+    const bufferWidth = Math.floor(w);
+    const bufferHeight = Math.floor(h);
+    if (!(bufferWidth >= 1 && bufferWidth <= width && bufferHeight >= 1 && bufferHeight <= height)) {
+      throw new Error(`PROTOCOL_VIOLATION: createGraphics(${w}, ${h}) is not allowed. Buffers must be between 1x1 and ${width}x${height}.`);
+    }
+    if (++bufferCount > GRAPHICS_LIMITS.maxBuffers) {
+      throw new Error(`RESOURCE_LIMIT: Sketch exceeded the limit of ${GRAPHICS_LIMITS.maxBuffers} createGraphics() buffers per render`);
+    }
+
+    return build(bufferWidth, bufferHeight, `graphics:${bufferCount}`).p;
+  }
+
+  main = build(width, height, "main", { recordDisplayList: record });
+  return { ...main, opStream };
+}
@@ -0,0 +1,35 @@
+import fs from "fs";
+
+// Base64 is encoded in 3-byte groups; flushing only multiples of 3 keeps the
+// concatenated chunks identical to encoding the whole file at once.
+const READ_CHUNK_BYTES = 3 * 64 * 1024;
+
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    res.once("drain", resolve);
+    res.once("close", resolve);
+  });
+}
+
+// Sends `body` as JSON with one extra string field whose value is the base64
+// encoding of a file, streamed from disk instead of buffered in memory.
+export async function sendJsonWithBase64File(res, body, field, filePath) {
+  const head = JSON.stringify(body);
+  const separator = head === "{}" ? "" : ",";
+
+  res.status(200).set("Content-Type", "application/json; charset=utf-8");
+  res.write(`${head.slice(0, -1)}${separator}${JSON.stringify(field)}:"`);
+
+  let carry = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_BYTES })) {
+    if (res.destroyed) return;
+    const data = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+    const usable = data.length - (data.length % 3);
+    carry = data.subarray(usable);
+    if (!res.write(data.subarray(0, usable).toString("base64"))) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end(`${carry.toString("base64")}"}`);
+}
@@ -0,0 +1,87 @@
+// VAR is the protocol's 10-entry input array, each entry a number in 0-100.
+// inspectVars() lists every entry the renderer cannot use as given. Lenient
+// renders fix those entries and report each fix. Strict renders reject them.
+export const VAR_COUNT = 10;
+export const VAR_MIN = 0;
+export const VAR_MAX = 100;
+
+export const VARS_MODES = Object.freeze(["lenient", "strict"]);
+
+function describeIssue({ index, value, reason }) {
+  const subject = index === null ? "VAR" : `VAR[${index}] = ${JSON.stringify(value)}`;
+  switch (reason) {
+    case "not_an_array": return `${subject} must be an array of up to ${VAR_COUNT} numbers`;
+    case "not_a_number": return `${subject} is not a number`;
+    case "not_finite": return `${subject} is not a finite number`;
+    case "out_of_range": return `${subject} is outside ${VAR_MIN}-${VAR_MAX}`;
+    case "extra_entry": return `${subject} is past the last entry VAR[${VAR_COUNT - 1}]`;
+  }
+}
+
+function withMessage(issue) {
+  return { ...issue, message: describeIssue(issue) };
+}
+
+// Returns [{ index, value, reason, message }] in index order; empty when VAR
+// is valid. A missing VAR is valid (all zeros). `index` is null when VAR as a
+// whole is unusable.
+export function inspectVars(vars) {
+  if (vars === undefined || vars === null) return [];
+  if (!Array.isArray(vars)) {
+    return [withMessage({ index: null, value: vars, reason: "not_an_array" })];
+  }
+
+  const issues = [];
+  vars.forEach((value, index) => {
+    let reason = null;
+    if (index >= VAR_COUNT) reason = "extra_entry";
+    else if (typeof value !== "number") reason = "not_a_number";
+    else if (!Number.isFinite(value)) reason = "not_finite";
+    else if (value < VAR_MIN || value > VAR_MAX) reason = "out_of_range";
+    if (reason) issues.push(withMessage({ index, value, reason }));
+  });
+  return issues;
+}
+
+// nexart.vars.zerofill.v1: always 10 entries; unusable entries become 0 and
+// entries past the tenth are dropped. `changes` is inspectVars() with the
+// action taken for each entry.
+export function zeroFillVars(vars) {
+  const normalizedVars = new Array(VAR_COUNT).fill(0);
+  if (Array.isArray(vars)) {
+    for (let i = 0; i < Math.min(vars.length, VAR_COUNT); i++) {
+      const v = vars[i];
+      if (typeof v === "number" && Number.isFinite(v) && v >= VAR_MIN && v <= VAR_MAX) {
+        normalizedVars[i] = v;
+      }
+    }
+  }
+
+  const changes = inspectVars(vars).map(issue => ({
+    ...issue,
+    action: issue.reason === "extra_entry" ? "dropped" : issue.reason === "not_an_array" ? "defaulted" : "zeroed",
+  }));
+  return { normalizedVars, changes };
+}
+
+// Throws PROTOCOL_VIOLATION listing every unusable entry, with the entries as
+// `details.invalidVars`.
+export function assertStrictVars(vars) {
+  const issues = inspectVars(vars);
+  if (issues.length === 0) return;
+
+  const error = new Error(`PROTOCOL_VIOLATION: Strict VAR validation failed: ${issues.map(issue => issue.message).join("; ")}`);
+  error.details = { invalidVars: issues };
+  throw error;
+}
+
+// Value of the X-Vars-Normalized header: one "<index>=<reason>" per change
+export function formatVarsNormalizedHeader(changes) {
+  return changes.map(({ index, reason }) => `${index ?? "VAR"}=${reason}`).join(", ");
+}
+
+// A key configured for strict VARs cannot be relaxed per request; either side
+// asking for strict makes the render strict.
+export function resolveVarsMode(requestedMode, keyMode) {
+  return requestedMode === "strict" || keyMode === "strict" ? "strict" : "lenient";
+}
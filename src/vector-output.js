@@ -0,0 +1,36 @@
+import crypto from "crypto";
+import { createCanvas } from "canvas";
+import { replayDisplayList } from "./display-list.js";
+import { resolveOutputFormat } from "./output-formats.js";
+
+// PDF pages use the canvas size in points. Fixed document metadata keeps the
+// PDF bytes independent of when it was made.
+const PDF_METADATA = Object.freeze({
+  title: "NexArt Code Mode render",
+  creator: "NexArt Canonical Renderer",
+  creationDate: new Date(0),
+  modDate: new Date(0),
+});
+
+// Replays a static render's display list on cairo's SVG or PDF surface and
+// returns the document bytes with their SHA-256.
+export function renderVectorOutput(displayList, format, width, height) {
+  const { id, mime, canonical, surface } = resolveOutputFormat(format);
+  if (!surface) {
+    throw new Error(`renderVectorOutput: ${id} is not a vector format`);
+  }
+
+  const canvas = createCanvas(width, height, surface);
+  replayDisplayList(displayList, canvas.getContext("2d"));
+  const buffer = surface === "pdf" ? canvas.toBuffer("application/pdf", PDF_METADATA) : canvas.toBuffer();
+
+  return {
+    format: id,
+    mime,
+    canonical,
+    buffer,
+    hash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    displayListOps: displayList.ops.length,
+    rasterOps: displayList.rasterOps,
+  };
+}
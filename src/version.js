@@ -3,6 +3,8 @@ import {
   CODE_MODE_PROTOCOL_VERSION,
   SDK_VERSION as SDK_VERSION_FROM_SDK
 } from "@nexart/codemode-sdk/node";
+import { PNG_ENCODING_PROFILES } from "./png-profile.js";
+import { getFontSetInfo } from "./fonts.js";
 
 const require = createRequire(import.meta.url);
 const packageJson = require("../package.json");
@@ -19,6 +21,8 @@ export const versionInfo = {
   protocolVersion,
   serviceBuild: process.env.GIT_SHA || process.env.RAILWAY_GIT_COMMIT_SHA || "unknown",
   nodeVersion: process.version,
+  pngProfiles: PNG_ENCODING_PROFILES,
+  fontSet: getFontSetInfo(),
 };
 
 export function getVersionInfo() {
@@ -0,0 +1,94 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveAnimationFormat } from "./animation-formats.js";
+
+// Raw RGBA frames are piped straight into ffmpeg's stdin; nothing but the
+// encoded output ever touches disk. `format` selects the output encoding
+// from ANIMATION_FORMATS (mp4 when omitted). The returned `pid` lets the
+// sandbox kill ffmpeg if the worker driving it is terminated.
+export function createVideoEncoder({ outputPath, fps, width, height, format }) {
+  const { ffmpegArgs } = resolveAnimationFormat(format);
+  const ffmpeg = spawn("ffmpeg", [
+    "-y",
+    "-f", "rawvideo",
+    "-pix_fmt", "rgba",
+    "-s", `${width}x${height}`,
+    "-framerate", String(fps),
+    "-i", "pipe:0",
+    ...ffmpegArgs,
+    outputPath,
+  ], { stdio: ["pipe", "ignore", "pipe"] });
+
+  let stderr = "";
+  ffmpeg.stderr.on("data", (data) => {
+    stderr += data.toString();
+  });
+
+  let failure = null;
+  const exited = new Promise((resolve) => {
+    ffmpeg.on("error", (err) => {
+      failure = failure || err;
+      resolve();
+    });
+    ffmpeg.on("close", (code) => {
+      if (code !== 0) {
+        failure = failure || new Error(`ffmpeg exited with code ${code}: ${stderr}`);
+      }
+      resolve();
+    });
+  });
+
+  // EPIPE surfaces here when ffmpeg dies mid-stream; the exit status carries the real cause
+  ffmpeg.stdin.on("error", (err) => {
+    failure = failure || err;
+  });
+
+  return {
+    pid: ffmpeg.pid,
+
+    async writeFrame(rgba) {
+      if (failure) throw failure;
+      const chunk = Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength);
+      if (!ffmpeg.stdin.write(chunk)) {
+        await new Promise((resolve) => {
+          ffmpeg.stdin.once("drain", resolve);
+          exited.then(resolve);
+        });
+      }
+      if (failure) throw failure;
+    },
+
+    async finish() {
+      ffmpeg.stdin.end();
+      await exited;
+      if (failure) throw failure;
+    },
+
+    abort() {
+      ffmpeg.stdin.destroy();
+      ffmpeg.kill("SIGKILL");
+    },
+  };
+}
+
+// Loop output lives in its own temp directory, created on the main thread so
+// it can be removed even when the worker rendering into it is terminated.
+export function createLoopOutputDir() {
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), "nexart-loop-"));
+}
+
+export async function removeLoopOutputDir(outputDir) {
+  try {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+  } catch (e) {
+    console.error("Cleanup error:", e);
+  }
+}
+
+// Removing the directory releases the encoded file once the response has
+// been sent.
+export function removeLoopOutput(animationPath) {
+  return removeLoopOutputDir(path.dirname(animationPath));
+}
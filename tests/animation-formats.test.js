@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { ANIMATION_FORMATS, DEFAULT_ANIMATION_FORMAT, resolveAnimationFormat } from '../src/animation-formats.js';
+
+describe('Animation formats', () => {
+  it('defaults to mp4 when no format is given', () => {
+    const format = resolveAnimationFormat(undefined);
+    expect(DEFAULT_ANIMATION_FORMAT).toBe('mp4');
+    expect(format.id).toBe('mp4');
+    expect(format.mime).toBe('video/mp4');
+    expect(format.lossless).toBe(false);
+  });
+
+  it('keeps the original mp4 encoder arguments', () => {
+    expect(ANIMATION_FORMATS.mp4.ffmpegArgs).toEqual([
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '18',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+    ]);
+  });
+
+  it('resolves every supported format with its own MIME type', () => {
+    expect(resolveAnimationFormat('webp').mime).toBe('image/webp');
+    expect(resolveAnimationFormat('gif').mime).toBe('image/gif');
+    expect(resolveAnimationFormat('apng').mime).toBe('image/apng');
+    expect(resolveAnimationFormat('ffv1').extension).toBe('mkv');
+    expect(resolveAnimationFormat('x264-lossless').ffmpegArgs).toContain('libx264rgb');
+  });
+
+  it('marks archival formats as lossless', () => {
+    expect(resolveAnimationFormat('apng').lossless).toBe(true);
+    expect(resolveAnimationFormat('ffv1').lossless).toBe(true);
+    expect(resolveAnimationFormat('x264-lossless').lossless).toBe(true);
+  });
+
+  it('rejects unknown formats with LOOP_MODE_ERROR', () => {
+    expect(() => resolveAnimationFormat('avi')).toThrow(/^LOOP_MODE_ERROR: Unsupported animation format: avi/);
+    expect(() => resolveAnimationFormat('toString')).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolveAnimationFormat(42)).toThrow(/LOOP_MODE_ERROR/);
+  });
+});
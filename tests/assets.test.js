@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { resolveAssets, assetHashes, pngDimensions, ASSET_LIMITS } from '../src/assets.js';
+import { computeCodeModeInputHash, verifyCodeModeBundle, canonicalize, sha256 } from '../src/attest.js';
+
+// 1x1 RGBA PNG
+const PIXEL_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+function assetKey(bytes) {
+  return `sha256:${crypto.createHash('sha256').update(bytes).digest('hex')}`;
+}
+
+function asset(bytes) {
+  return { [assetKey(bytes)]: bytes.toString('base64') };
+}
+
+// PNG header claiming the given size; enough for the dimension check
+function pngHeader(width, height) {
+  const bytes = Buffer.alloc(33);
+  PIXEL_PNG.copy(bytes, 0, 0, 16);
+  bytes.writeUInt32BE(width, 16);
+  bytes.writeUInt32BE(height, 20);
+  return bytes;
+}
+
+describe('Snapshot assets', () => {
+  it('returns an empty map when the snapshot has no assets', () => {
+    expect(resolveAssets(undefined)).toEqual({});
+    expect(resolveAssets(null)).toEqual({});
+  });
+
+  it('decodes assets whose hash matches their content', () => {
+    const resolved = resolveAssets(asset(PIXEL_PNG));
+    expect(Object.keys(resolved)).toEqual([assetKey(PIXEL_PNG)]);
+    expect(resolved[assetKey(PIXEL_PNG)].equals(PIXEL_PNG)).toBe(true);
+  });
+
+  it('rejects an asset whose content does not match its hash', () => {
+    const key = assetKey(Buffer.from('something else'));
+    try {
+      resolveAssets({ [key]: PIXEL_PNG.toString('base64') });
+      expect.unreachable();
+    } catch (error) {
+      expect(error.message).toMatch(/^PROTOCOL_VIOLATION: Asset sha256:[a-f0-9]{64} does not match its content/);
+      expect(error.details).toEqual({ asset: key, computedHash: assetKey(PIXEL_PNG) });
+    }
+  });
+
+  it('rejects malformed keys, values and containers', () => {
+    expect(() => resolveAssets([])).toThrow(/^PROTOCOL_VIOLATION: assets must be an object/);
+    expect(() => resolveAssets({ 'logo.png': PIXEL_PNG.toString('base64') })).toThrow(/Invalid asset key "logo.png"/);
+    expect(() => resolveAssets({ [assetKey(PIXEL_PNG).toUpperCase().replace('SHA256', 'sha256')]: 'AA==' })).toThrow(/Invalid asset key/);
+    expect(() => resolveAssets({ [assetKey(PIXEL_PNG)]: 42 })).toThrow(/must be a base64 string/);
+    expect(() => resolveAssets({ [assetKey(PIXEL_PNG)]: 'not base64!' })).toThrow(/must be a base64 string/);
+  });
+
+  it('accepts PNG only', () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+    expect(() => resolveAssets(asset(jpeg))).toThrow(/is not a PNG image/);
+  });
+
+  it('enforces image dimensions and asset count', () => {
+    expect(() => resolveAssets(asset(pngHeader(ASSET_LIMITS.maxWidth + 1, 10)))).toThrow(/images must be between 1x1 and 1950x2400/);
+    expect(() => resolveAssets(asset(pngHeader(0, 10)))).toThrow(/images must be between/);
+
+    const tooMany = {};
+    for (let i = 0; i <= ASSET_LIMITS.maxAssets; i++) Object.assign(tooMany, asset(pngHeader(i + 1, 1)));
+    expect(() => resolveAssets(tooMany)).toThrow(/at most 16 are allowed/);
+  });
+
+  it('reads PNG dimensions from the header without decoding', () => {
+    expect(pngDimensions(PIXEL_PNG)).toEqual({ width: 1, height: 1 });
+    expect(pngDimensions(pngHeader(60000, 60000))).toEqual({ width: 60000, height: 60000 });
+    expect(pngDimensions(Buffer.from('not a png'))).toBeNull();
+  });
+
+  it('lists asset hashes sorted, or undefined when there are none', () => {
+    const a = asset(pngHeader(1, 1));
+    const b = asset(pngHeader(2, 1));
+    expect(assetHashes({ ...b, ...a })).toEqual([...Object.keys(a), ...Object.keys(b)].sort());
+    expect(assetHashes({})).toBeUndefined();
+    expect(assetHashes(undefined)).toBeUndefined();
+  });
+});
+
+describe('Code Mode input hash with assets', () => {
+  const base = { code: 'function setup() {}', seed: 'seed', vars: [1, 2] };
+
+  it('is unchanged for snapshots without assets', () => {
+    const legacy = sha256(canonicalize({ code: base.code, seed: base.seed, vars: base.vars }));
+    expect(computeCodeModeInputHash(base)).toBe(legacy);
+    expect(computeCodeModeInputHash({ ...base, assets: {} })).toBe(legacy);
+  });
+
+  it('covers the asset hashes', () => {
+    const withAsset = { ...base, assets: asset(PIXEL_PNG) };
+    const withOther = { ...base, assets: asset(pngHeader(3, 3)) };
+    expect(computeCodeModeInputHash(withAsset)).not.toBe(computeCodeModeInputHash(base));
+    expect(computeCodeModeInputHash(withAsset)).not.toBe(computeCodeModeInputHash(withOther));
+  });
+
+  it('rejects bundles whose assets do not match their hashes', () => {
+    const bundle = {
+      bundleType: 'cer.codemode.v1',
+      version: '0.1',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      snapshot: { ...base, assets: { [assetKey(Buffer.from('x'))]: PIXEL_PNG.toString('base64') } },
+    };
+    const result = verifyCodeModeBundle(bundle);
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/^snapshot\.assets: Asset sha256:[a-f0-9]{64} does not match its content/);
+  });
+});
@@ -173,6 +173,46 @@ describe('POST /api/attest - Code Mode bundles', () => {
     expect(response.headers.get('X-Quota-Remaining')).toBeTruthy();
   });
 
+  it('should sign the attestation with a key published in the node key set', async () => {
+    const response = await fetch(`${BASE_URL}/api/attest`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(makeValidCodeModeBundle())
+    });
+    expect(response.status).toBe(200);
+    const { attestation, keyId, revocationList } = await response.json();
+    expect(attestation.keyId).toBeTruthy();
+    expect(keyId).toBe(attestation.keyId);
+    expect(revocationList).toBe('/.well-known/nexart-revocations.json');
+    expect(attestation.signature).toMatch(/^[A-Za-z0-9_-]+$/);
+
+    const keySet = await (await fetch(`${BASE_URL}/.well-known/nexart-keys.json`)).json();
+    const key = keySet.keys.find(k => k.keyId === attestation.keyId);
+    expect(key.algorithm).toBe('Ed25519');
+    expect(key.status).toBe('active');
+
+    const publicKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: key.publicKey }, format: 'jwk' });
+    const { signature, ...signed } = attestation;
+    const payload = Buffer.from(canonicalize(signed));
+    expect(crypto.verify(null, payload, publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+    expect(crypto.verify(null, Buffer.from(canonicalize({ ...signed, verified: false })), publicKey, Buffer.from(signature, 'base64url'))).toBe(false);
+  });
+
+  it('should serve a revocation list signed by a published key', async () => {
+    const list = await (await fetch(`${BASE_URL}/.well-known/nexart-revocations.json`)).json();
+    expect(list.type).toBe('nexart.key-revocations.v1');
+    expect(Array.isArray(list.revoked)).toBe(true);
+
+    const keySet = await (await fetch(`${BASE_URL}/.well-known/nexart-keys.json`)).json();
+    const key = keySet.keys.find(k => k.keyId === list.keyId);
+    const publicKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: key.publicKey }, format: 'jwk' });
+    const { signature, ...signed } = list;
+    expect(crypto.verify(null, Buffer.from(canonicalize(signed)), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
   it('should return 400 for tampered certificateHash', async () => {
     const bundle = makeValidCodeModeBundle();
     bundle.certificateHash = 'sha256:' + 'a'.repeat(64);
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { parse } from 'acorn';
+import { findNondeterministicCalls, createDeterminismGuards, installGlobalDeterminismGuards } from '../src/determinism-guard.js';
+import { analyzeSketch, loadSketch } from '../src/sketch-loader.js';
+
+function scan(code) {
+  return findNondeterministicCalls(parse(code, { ecmaVersion: 'latest', locations: true }));
+}
+
+describe('findNondeterministicCalls', () => {
+  it('reports each forbidden API with its call site', () => {
+    const calls = scan([
+      'function draw() {',
+      '  const r = Math.random();',
+      '  const now = Date.now();',
+      '  const d = new Date();',
+      '  const p = performance.now();',
+      '}',
+    ].join('\n'));
+
+    expect(calls).toEqual([
+      { api: 'Math.random()', line: 2, column: 13 },
+      { api: 'Date.now()', line: 3, column: 15 },
+      { api: 'new Date()', line: 4, column: 17 },
+      { api: 'performance.now()', line: 5, column: 13 },
+    ]);
+  });
+
+  it('catches computed and uncalled references', () => {
+    const calls = scan('const f = Math["random"]; const D = Date;');
+    expect(calls.map(c => c.api)).toEqual(['Math.random', 'Date']);
+  });
+
+  it('ignores property names that merely look like the globals', () => {
+    expect(scan('const o = { Date: 1, performance: 2 }; o.Date; o.performance.now(); Math.floor(1);')).toEqual([]);
+  });
+
+  it('reports references to the global object', () => {
+    const calls = scan([
+      'const r = globalThis.Math.random();',
+      'const g = (function () { return this; })();',
+      'self.Date.now();',
+      'this.performance;',
+    ].join('\n'));
+    expect(calls.map(c => c.api)).toEqual(['globalThis.Math', 'this', 'self.Date', 'this.performance']);
+  });
+
+  it('leaves bound this and sketch-declared names alone', () => {
+    expect(scan([
+      'function Particle(x) { const self = this; this.x = x; self.y = 0; }',
+      'class Walker { constructor() { this.x = 0; } step() { return this.x + 1; } }',
+      'const o = { m() { return this; } };',
+      'function draw() { [1].forEach(() => this); }',
+    ].join('\n'))).toEqual([]);
+  });
+});
+
+describe('determinism guard', () => {
+  it('rejects sketches statically with PROTOCOL_VIOLATION and violation details', () => {
+    try {
+      analyzeSketch('function setup() {\n  background(Math.random() * 255);\n}');
+      expect.unreachable();
+    } catch (error) {
+      expect(error.message).toMatch(/^PROTOCOL_VIOLATION: .*Math\.random\(\) \(line 2, column 14\)/);
+      expect(error.details.violations).toEqual([
+        expect.objectContaining({ api: 'Math.random()', line: 2, column: 14, message: expect.stringContaining('random()') }),
+      ]);
+    }
+  });
+
+  it('throws at runtime for access the static scan cannot see', () => {
+    const p = { background: () => {} };
+    const { setup } = loadSketch('function setup() { const name = "ran" + "dom"; Math[name](); }', p);
+    expect(() => setup()).toThrow(/^PROTOCOL_VIOLATION: Math\.random\(\) is not allowed/);
+  });
+
+  it('leaves the rest of Math usable inside the sketch', () => {
+    const calls = [];
+    const p = { ellipse: (...args) => calls.push(args) };
+    const { setup } = loadSketch('function setup() { ellipse(Math.floor(2.5), Math.PI, Math.max(1, 4)); }', p);
+    setup();
+    expect(calls).toEqual([[2, Math.PI, 4]]);
+  });
+
+  it('shadows Date and performance with throwing stubs', () => {
+    const guards = createDeterminismGuards();
+    expect(() => guards.Date.now()).toThrow(/PROTOCOL_VIOLATION: Date\.now is not allowed/);
+    expect(() => new guards.Date()).toThrow(/PROTOCOL_VIOLATION: new Date\(\) is not allowed/);
+    expect(() => guards.Date()).toThrow(/PROTOCOL_VIOLATION: Date\(\) is not allowed/);
+    expect(() => guards.performance.now()).toThrow(/PROTOCOL_VIOLATION: performance\.now is not allowed/);
+  });
+});
+
+describe('global determinism guards', () => {
+  function fakeGlobal() {
+    return { Math: { random: () => 0.5 }, Date, performance: { now: () => 42 } };
+  }
+
+  it('throw only while sketch code runs', async () => {
+    const target = fakeGlobal();
+    const run = installGlobalDeterminismGuards(target);
+
+    expect(target.Math.random()).toBe(0.5);
+    expect(target.performance.now()).toBe(42);
+    expect(new target.Date(0).getTime()).toBe(0);
+
+    await expect(run(() => target.Math.random())).rejects.toThrow(/^PROTOCOL_VIOLATION: Math\.random\(\) is not allowed/);
+    await expect(run(() => target.Date.now())).rejects.toThrow(/^PROTOCOL_VIOLATION: Date\.now is not allowed/);
+    await expect(run(() => new target.Date())).rejects.toThrow(/^PROTOCOL_VIOLATION: new Date\(\) is not allowed/);
+    await expect(run(() => target.performance.now())).rejects.toThrow(/^PROTOCOL_VIOLATION: performance\.now is not allowed/);
+
+    expect(target.Date.now()).toBeTypeOf('number');
+    expect(await run(() => 'done')).toBe('done');
+  });
+
+  it('stay armed across awaits inside run()', async () => {
+    const target = fakeGlobal();
+    const run = installGlobalDeterminismGuards(target);
+    await expect(run(async () => {
+      await Promise.resolve();
+      return target.Math.random();
+    })).rejects.toThrow(/PROTOCOL_VIOLATION/);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { createDisplayListRecorder, replayDisplayList } from '../src/display-list.js';
+
+// Context that logs every call and property write, in order
+function makeLoggingContext() {
+  const log = [];
+  const ctx = new Proxy({ fillStyle: '#000000' }, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (prop === 'measureText') return (str) => ({ width: str.length });
+      if (prop === 'getImageData') return (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) });
+      return (...args) => log.push([prop, ...args]);
+    },
+    set(target, prop, value) {
+      target[prop] = value;
+      log.push(['set', prop, value]);
+      return true;
+    },
+  });
+  return { ctx, log };
+}
+
+function fakeCreateCanvas(width, height) {
+  const { ctx, log } = makeLoggingContext();
+  return { width, height, log, getContext: () => ctx };
+}
+
+describe('Display list recorder', () => {
+  it('forwards every call to the real context and records drawing', () => {
+    const { ctx, log } = makeLoggingContext();
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    const { context } = recorder;
+
+    context.fillStyle = 'rgba(255, 0, 0, 1)';
+    context.beginPath();
+    context.arc(10, 10, 5, 0, Math.PI * 2);
+    context.fill();
+    expect(context.measureText('abc').width).toBe(3);
+
+    expect(log).toEqual([
+      ['set', 'fillStyle', 'rgba(255, 0, 0, 1)'],
+      ['beginPath'],
+      ['arc', 10, 10, 5, 0, Math.PI * 2],
+      ['fill'],
+    ]);
+    expect(recorder.getDisplayList().ops).toEqual([
+      { op: 'set', prop: 'fillStyle', value: 'rgba(255, 0, 0, 1)' },
+      { op: 'call', method: 'beginPath', args: [] },
+      { op: 'call', method: 'arc', args: [10, 10, 5, 0, Math.PI * 2] },
+      { op: 'call', method: 'fill', args: [] },
+    ]);
+  });
+
+  it('reads context state through to the real context', () => {
+    const { ctx } = makeLoggingContext();
+    const { context } = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    context.fillStyle = '#ff0000';
+    expect(context.fillStyle).toBe('#ff0000');
+  });
+
+  it('copies pixels for drawImage and putImageData at call time', () => {
+    const { ctx } = makeLoggingContext();
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    const source = { width: 4, height: 2 };
+    const imageData = { width: 2, height: 2, data: new Uint8ClampedArray(16) };
+
+    recorder.context.drawImage(source, 1, 2);
+    recorder.context.putImageData(imageData, 5, 6);
+
+    const { ops, rasterOps } = recorder.getDisplayList();
+    expect(rasterOps).toBe(2);
+    expect(ops[0].method).toBe('drawImage');
+    expect(ops[0].args[0]).not.toBe(source);
+    expect(ops[0].args[0].log).toEqual([['drawImage', source, 0, 0]]);
+    expect(ops[0].args.slice(1)).toEqual([1, 2]);
+    expect(ops[1].op).toBe('putImageData');
+    expect(ops[1].args[0].log).toEqual([['putImageData', imageData, 0, 0]]);
+  });
+
+  it('wraps a canvas so the runtime draws through the recorder', () => {
+    const { ctx } = makeLoggingContext();
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    const wrapped = recorder.wrapCanvas({ width: 20, height: 10 });
+    expect(wrapped.width).toBe(20);
+    expect(wrapped.height).toBe(10);
+    wrapped.getContext('2d').fillRect(0, 0, 20, 10);
+    expect(recorder.getDisplayList().ops).toEqual([{ op: 'call', method: 'fillRect', args: [0, 0, 20, 10] }]);
+  });
+
+  it('fails with RESOURCE_LIMIT past the operation and raster limits', () => {
+    const { ctx } = makeLoggingContext();
+    const limits = { maxOps: 2, maxRasterBytes: 64 };
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas, limits });
+    recorder.context.beginPath();
+    recorder.context.closePath();
+    expect(() => recorder.context.fill()).toThrow(/^RESOURCE_LIMIT: Sketch exceeded the vector display list limit of 2 operations/);
+
+    const rasters = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas, limits });
+    expect(() => rasters.context.drawImage({ width: 5, height: 5 }, 0, 0)).toThrow(/^RESOURCE_LIMIT: Sketch exceeded the vector raster limit of 64 bytes/);
+  });
+});
+
+describe('Display list replay', () => {
+  it('reproduces the recorded calls on another context', () => {
+    const { ctx } = makeLoggingContext();
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    recorder.context.lineWidth = 3;
+    recorder.context.moveTo(0, 0);
+    recorder.context.lineTo(5, 5);
+    recorder.context.stroke();
+
+    const target = makeLoggingContext();
+    replayDisplayList(recorder.getDisplayList(), target.ctx);
+    expect(target.log).toEqual([
+      ['set', 'lineWidth', 3],
+      ['moveTo', 0, 0],
+      ['lineTo', 5, 5],
+      ['stroke'],
+    ]);
+  });
+
+  it('draws putImageData rasters untransformed at the dirty rectangle', () => {
+    const { ctx } = makeLoggingContext();
+    const recorder = createDisplayListRecorder(ctx, { createCanvas: fakeCreateCanvas });
+    recorder.context.putImageData({ width: 4, height: 4, data: new Uint8ClampedArray(64) }, 10, 20, 1, 1, 2, 2);
+    const raster = recorder.getDisplayList().ops[0].args[0];
+
+    const target = makeLoggingContext();
+    replayDisplayList(recorder.getDisplayList(), target.ctx);
+    expect(target.log).toEqual([
+      ['save'],
+      ['setTransform', 1, 0, 0, 1, 0, 0],
+      ['set', 'globalAlpha', 1],
+      ['set', 'globalCompositeOperation', 'source-over'],
+      ['drawImage', raster, 1, 1, 2, 2, 11, 21, 2, 2],
+      ['restore'],
+    ]);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  PROTOCOL_FONTS,
+  FONT_SET_HASH,
+  resolveFontFamily,
+  getFontSetInfo,
+  registerProtocolFonts,
+} from '../src/fonts.js';
+
+describe('Protocol font set', () => {
+  it('resolves approved families and generic aliases case-insensitively', () => {
+    expect(resolveFontFamily('DejaVu Sans')).toBe('DejaVu Sans');
+    expect(resolveFontFamily('dejavu serif')).toBe('DejaVu Serif');
+    expect(resolveFontFamily('"DejaVu Sans Mono"')).toBe('DejaVu Sans Mono');
+    expect(resolveFontFamily('sans-serif')).toBe('DejaVu Sans');
+    expect(resolveFontFamily('monospace')).toBe('DejaVu Sans Mono');
+  });
+
+  it('rejects fonts outside the protocol set', () => {
+    expect(resolveFontFamily('Arial')).toBeNull();
+    expect(resolveFontFamily('cursive')).toBeNull();
+    expect(resolveFontFamily(undefined)).toBeNull();
+  });
+
+  it('derives the font set hash from the pinned file hashes', () => {
+    const entries = PROTOCOL_FONTS.flatMap(({ family, files }) =>
+      Object.entries(files).map(([style, { sha256 }]) => `${family}\t${style}\t${sha256}`)
+    ).sort();
+    const expected = crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+
+    expect(FONT_SET_HASH).toBe(expected);
+    expect(getFontSetInfo()).toMatchObject({ id: 'nexart.fonts.v1', hash: FONT_SET_HASH, defaultFamily: 'DejaVu Sans' });
+  });
+
+  it('registers every style of every family after checking the installed files', () => {
+    const registered = [];
+    registerProtocolFonts((fontPath, descriptor) => registered.push({ file: fontPath.split(/[\\/]/).pop(), ...descriptor }));
+
+    expect(registered).toHaveLength(12);
+    expect(registered).toContainEqual({ file: 'DejaVuSans.ttf', family: 'DejaVu Sans', weight: 'normal', style: 'normal' });
+    expect(registered).toContainEqual({ file: 'DejaVuSerif-BoldItalic.ttf', family: 'DejaVu Serif', weight: 'bold', style: 'italic' });
+    expect(registered).toContainEqual({ file: 'DejaVuSansMono-Oblique.ttf', family: 'DejaVu Sans Mono', weight: 'normal', style: 'italic' });
+  });
+});
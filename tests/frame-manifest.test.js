@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { computeFrameRoot } from '../src/frame-manifest.js';
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+function frameHash(n) {
+  return sha256(Buffer.from(`frame-${n}`)).toString('hex');
+}
+
+function leaf(hex) {
+  return sha256(Buffer.from([0x00]), Buffer.from(hex, 'hex'));
+}
+
+function node(left, right) {
+  return sha256(Buffer.from([0x01]), left, right);
+}
+
+describe('computeFrameRoot', () => {
+  it('hashes a single frame as a leaf', () => {
+    expect(computeFrameRoot([frameHash(0)])).toBe(leaf(frameHash(0)).toString('hex'));
+  });
+
+  it('follows RFC 6962 splitting for an odd number of frames', () => {
+    const hashes = [0, 1, 2].map(frameHash);
+    const expected = node(node(leaf(hashes[0]), leaf(hashes[1])), leaf(hashes[2]));
+    expect(computeFrameRoot(hashes)).toBe(expected.toString('hex'));
+  });
+
+  it('depends on frame order', () => {
+    const hashes = [0, 1, 2, 3].map(frameHash);
+    expect(computeFrameRoot(hashes)).not.toBe(computeFrameRoot([...hashes].reverse()));
+  });
+
+  it('rejects an empty manifest', () => {
+    expect(() => computeFrameRoot([])).toThrow();
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { LOOP_LIMITS, assertLoopWithinLimits, estimateLoopCost, resolveLoopLimits } from '../src/loop-limits.js';
+
+describe('resolveLoopLimits', () => {
+  it('applies only the protocol bounds without a plan', () => {
+    expect(resolveLoopLimits(undefined)).toEqual({ plan: null, ...LOOP_LIMITS });
+  });
+
+  it('tightens the protocol bounds per plan', () => {
+    expect(resolveLoopLimits('free')).toMatchObject({ plan: 'free', maxTotalFrames: 300, maxFps: 30, maxDurationSeconds: 10 });
+    expect(resolveLoopLimits('pro')).toMatchObject({ plan: 'pro', maxTotalFrames: 1800, maxDurationSeconds: 60 });
+    expect(resolveLoopLimits('enterprise')).toEqual({ plan: 'enterprise', ...LOOP_LIMITS });
+  });
+
+  it('treats unknown plans as free', () => {
+    expect(resolveLoopLimits('legacy').plan).toBe('free');
+    expect(resolveLoopLimits('constructor').plan).toBe('free');
+  });
+});
+
+describe('estimateLoopCost', () => {
+  it('scales with the frames rendered', () => {
+    const full = estimateLoopCost({ totalFrames: 120, fps: 30 });
+    expect(full).toMatchObject({ totalFrames: 120, fps: 30, durationSeconds: 4, renderedFrames: 120 });
+    expect(estimateLoopCost({ totalFrames: 120, fps: 30 }, 60).estimatedRenderMs).toBe(full.estimatedRenderMs / 2);
+  });
+});
+
+describe('assertLoopWithinLimits', () => {
+  it('accepts the renderer defaults under every plan', () => {
+    for (const plan of [undefined, 'free', 'pro', 'enterprise']) {
+      expect(() => assertLoopWithinLimits({ totalFrames: 120, fps: 30 }, resolveLoopLimits(plan))).not.toThrow();
+    }
+  });
+
+  it('reports every violation with the limits applied', () => {
+    const limits = resolveLoopLimits('pro');
+    let error;
+    try {
+      assertLoopWithinLimits({ totalFrames: 3000, fps: 0.5 }, limits);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toMatch(/^LOOP_MODE_ERROR: Loop execution exceeds the pro plan limits: /);
+    expect(error.details.violations).toEqual([
+      { field: 'totalFrames', value: 3000, limit: 1800, message: 'totalFrames 3000 exceeds the maximum of 1800' },
+      { field: 'fps', value: 0.5, limit: 1, message: 'fps 0.5 is below the minimum of 1' },
+      { field: 'durationSeconds', value: 6000, limit: 60, message: 'duration 6000s exceeds the maximum of 60s' },
+    ]);
+    expect(error.details.limits).toBe(limits);
+    expect(error.details.estimate.renderedFrames).toBe(3000);
+  });
+});
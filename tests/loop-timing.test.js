@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { loopTimeVariables, resolveFrameIndex, resolvePosterFrame, resolveLoopTiming } from '../src/loop-timing.js';
+import { resolveLoopLimits } from '../src/loop-limits.js';
+
+describe('Loop timing', () => {
+  it('derives the time variables renderLoop() injects for a frame', () => {
+    expect(loopTimeVariables(0, 120, 30)).toEqual({ frameCount: 0, t: 0, time: 0, tGlobal: 0 });
+    expect(loopTimeVariables(57, 120, 30)).toEqual({ frameCount: 57, t: 57 / 120, time: 57 / 30, tGlobal: 57 / 120 });
+  });
+
+  it('accepts an integer frame index within the loop', () => {
+    expect(resolveFrameIndex({ frame: 0 }, 120)).toBe(0);
+    expect(resolveFrameIndex({ frame: 119 }, 120)).toBe(119);
+  });
+
+  it('maps normalized t onto the frame shown at that time', () => {
+    expect(resolveFrameIndex({ t: 0 }, 120)).toBe(0);
+    expect(resolveFrameIndex({ t: 0.5 }, 120)).toBe(60);
+    expect(resolveFrameIndex({ t: 0.999 }, 120)).toBe(119);
+  });
+
+  it('round-trips t = frame / totalFrames despite float error', () => {
+    for (const totalFrames of [7, 24, 60, 120, 240]) {
+      for (let frame = 0; frame < totalFrames; frame++) {
+        expect(resolveFrameIndex({ t: frame / totalFrames }, totalFrames)).toBe(frame);
+      }
+    }
+  });
+
+  it('rejects out-of-range or ambiguous selectors with LOOP_MODE_ERROR', () => {
+    expect(() => resolveFrameIndex({ frame: 120 }, 120)).toThrow(/^LOOP_MODE_ERROR: frame must be an integer in \[0, 119\]/);
+    expect(() => resolveFrameIndex({ frame: 1.5 }, 120)).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolveFrameIndex({ frame: -1 }, 120)).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolveFrameIndex({ t: 1 }, 120)).toThrow(/^LOOP_MODE_ERROR: t must be a number in \[0, 1\)/);
+    expect(() => resolveFrameIndex({ t: '0.5' }, 120)).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolveFrameIndex({ frame: 1, t: 0.5 }, 120)).toThrow(/either frame or t/);
+  });
+});
+
+describe('Poster frame', () => {
+  it('defaults to frame 0', () => {
+    expect(resolvePosterFrame(undefined, 120)).toBe(0);
+    expect(resolvePosterFrame(null, 120)).toBe(0);
+  });
+
+  it('accepts a frame index, { frame } or { t }', () => {
+    expect(resolvePosterFrame(57, 120)).toBe(57);
+    expect(resolvePosterFrame({ frame: 57 }, 120)).toBe(57);
+    expect(resolvePosterFrame({ t: 0.25 }, 120)).toBe(30);
+  });
+
+  it('rejects invalid selectors with LOOP_MODE_ERROR', () => {
+    expect(() => resolvePosterFrame(120, 120)).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolvePosterFrame(0.5, 120)).toThrow(/LOOP_MODE_ERROR/);
+    expect(() => resolvePosterFrame('57', 120)).toThrow(/^LOOP_MODE_ERROR: posterFrame must be/);
+    expect(() => resolvePosterFrame([57], 120)).toThrow(/^LOOP_MODE_ERROR: posterFrame must be/);
+  });
+});
+
+describe('Loop timing limits', () => {
+  it('defaults to 120 frames at 30fps', () => {
+    expect(resolveLoopTiming(undefined)).toEqual({ totalFrames: 120, fps: 30 });
+  });
+
+  it('rejects malformed frame counts and fps', () => {
+    expect(() => resolveLoopTiming({ totalFrames: 1 })).toThrow(/^LOOP_MODE_ERROR: Loop mode requires totalFrames >= 2/);
+    expect(() => resolveLoopTiming({ totalFrames: 10.5 })).toThrow(/^LOOP_MODE_ERROR: totalFrames must be an integer/);
+    expect(() => resolveLoopTiming({ totalFrames: '120' })).toThrow(/^LOOP_MODE_ERROR: totalFrames must be an integer/);
+    expect(() => resolveLoopTiming({ fps: '30' })).toThrow(/^LOOP_MODE_ERROR: fps must be a finite number/);
+  });
+
+  it('enforces the protocol bounds without a plan', () => {
+    let error;
+    try {
+      resolveLoopTiming({ totalFrames: 100000, fps: 1000 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toMatch(/^LOOP_MODE_ERROR: Loop execution exceeds protocol limits: totalFrames 100000 exceeds the maximum of 3600; fps 1000 exceeds the maximum of 60$/);
+    expect(error.details.violations.map(v => v.field)).toEqual(['totalFrames', 'fps']);
+    expect(error.details.estimate).toMatchObject({ totalFrames: 100000, fps: 1000, durationSeconds: 100 });
+  });
+
+  it('enforces the tighter plan limits when given', () => {
+    expect(resolveLoopTiming({ totalFrames: 900, fps: 30 })).toEqual({ totalFrames: 900, fps: 30 });
+    expect(() => resolveLoopTiming({ totalFrames: 900, fps: 30 }, resolveLoopLimits('free')))
+      .toThrow(/exceeds the free plan limits: totalFrames 900 exceeds the maximum of 300; duration 30s exceeds the maximum of 10s/);
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import {
+  loadNodeSigningKey,
+  loadNodeKeyring,
+  createKeyring,
+  signAttestation,
+  signDocument,
+  verifyAttestationSignature,
+  verifyDocumentSignature,
+  describeNodeKeys,
+  buildRevocationList,
+  decodePublicKey,
+  encodePublicKey,
+  deriveKeyId,
+} from '../src/node-signing.js';
+
+const seed = (byte) => Buffer.alloc(32, byte).toString('base64');
+const SEED = seed(7);
+
+const attestation = {
+  attestedAt: '2026-01-01T00:00:00.000Z',
+  certificateHash: `sha256:${'a'.repeat(64)}`,
+  nodeRuntimeHash: `sha256:${'b'.repeat(64)}`,
+  protocolVersion: '1.2.0',
+  verified: true,
+  checks: ['input_hash', 'certificate_hash'],
+};
+
+function publicKeyOf(base64Seed) {
+  return encodePublicKey(loadNodeSigningKey({ NEXART_SIGNING_KEY: base64Seed }).publicKey);
+}
+
+// old (retired, public key only), current, next (pending) and a revoked key
+function rotatingKeyring() {
+  return createKeyring([
+    { keyId: 'k-old', publicKey: publicKeyOf(seed(1)), notBefore: '2025-01-01T00:00:00Z', notAfter: '2026-01-01T00:00:00Z' },
+    { keyId: 'k-current', privateKey: seed(2), notBefore: '2025-12-01T00:00:00Z', notAfter: '2026-07-01T00:00:00Z' },
+    { keyId: 'k-next', privateKey: seed(3), notBefore: '2026-06-01T00:00:00Z' },
+    { keyId: 'k-lost', privateKey: seed(4), revokedAt: '2025-11-03T00:00:00Z', revocationReason: 'key_compromise' },
+  ]);
+}
+
+describe('loadNodeSigningKey', () => {
+  it('loads a base64 seed and derives a stable key id', () => {
+    const a = loadNodeSigningKey({ NEXART_SIGNING_KEY: SEED });
+    const b = loadNodeSigningKey({ NEXART_SIGNING_KEY: SEED });
+    expect(a.keyId).toMatch(/^ed25519:[a-f0-9]{16}$/);
+    expect(a.keyId).toBe(b.keyId);
+    expect(a.keyId).toBe(deriveKeyId(a.publicKey));
+    expect(a.ephemeral).toBe(false);
+  });
+
+  it('loads a PKCS#8 PEM and honours a configured key id', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pem = privateKey.export({ format: 'pem', type: 'pkcs8' });
+    expect(loadNodeSigningKey({ NEXART_SIGNING_KEY: pem, NEXART_SIGNING_KEY_ID: 'node-2026-01' }).keyId).toBe('node-2026-01');
+  });
+
+  it('rejects keys that are not Ed25519', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const pem = privateKey.export({ format: 'pem', type: 'pkcs8' });
+    expect(() => loadNodeSigningKey({ NEXART_SIGNING_KEY: pem })).toThrow(/must be Ed25519/);
+    expect(() => loadNodeSigningKey({ NEXART_SIGNING_KEY: 'c2hvcnQ=' })).toThrow(/32-byte Ed25519 seed/);
+  });
+
+  it('requires a configured key in production', () => {
+    expect(() => loadNodeSigningKey({ NODE_ENV: 'production' })).toThrow(/required in production/);
+  });
+});
+
+describe('signAttestation', () => {
+  const keyring = loadNodeKeyring({ NEXART_SIGNING_KEY: SEED });
+  const signingKey = keyring.activeKey();
+
+  it('adds keyId and a signature that verifies against the published key', () => {
+    const signed = signAttestation(attestation, keyring);
+    expect(signed).toMatchObject({ ...attestation, keyId: signingKey.keyId });
+
+    const [published] = describeNodeKeys(keyring).keys;
+    expect(published).toMatchObject({ keyId: signingKey.keyId, algorithm: 'Ed25519', status: 'active' });
+    expect(verifyDocumentSignature(signed, decodePublicKey(published.publicKey))).toBe(true);
+    expect(verifyAttestationSignature(signed, keyring)).toBe(true);
+  });
+
+  it('does not depend on key order', () => {
+    const reordered = Object.fromEntries(Object.entries(attestation).reverse());
+    expect(signAttestation(reordered, keyring).signature).toBe(signAttestation(attestation, keyring).signature);
+  });
+
+  it('fails verification when any field or the key id changes', () => {
+    const signed = signAttestation(attestation, keyring);
+    expect(verifyDocumentSignature({ ...signed, verified: false }, signingKey.publicKey)).toBe(false);
+    expect(verifyDocumentSignature({ ...signed, keyId: 'other' }, signingKey.publicKey)).toBe(false);
+    expect(verifyDocumentSignature({ ...attestation }, signingKey.publicKey)).toBe(false);
+
+    const other = loadNodeSigningKey({ NEXART_SIGNING_KEY: seed(8) });
+    expect(verifyDocumentSignature(signed, other.publicKey)).toBe(false);
+  });
+});
+
+describe('key rotation', () => {
+  it('picks the key whose window contains the attestation time, newest first', () => {
+    const keyring = rotatingKeyring();
+    expect(keyring.activeKey(new Date('2025-12-15T00:00:00Z')).keyId).toBe('k-current');
+    expect(keyring.activeKey(new Date('2026-06-15T00:00:00Z')).keyId).toBe('k-next');
+    expect(() => keyring.activeKey(new Date('2024-01-01T00:00:00Z'))).toThrow(/^SIGNING_KEY_UNAVAILABLE/);
+
+    expect(signAttestation({ ...attestation, attestedAt: '2026-03-01T00:00:00.000Z' }, keyring).keyId).toBe('k-current');
+  });
+
+  it('reports each key status at a point in time', () => {
+    const keyring = rotatingKeyring();
+    const now = new Date('2026-03-01T00:00:00Z');
+    expect(['k-old', 'k-current', 'k-next', 'k-lost'].map(id => keyring.keyStatus(id, now)))
+      .toEqual(['retired', 'active', 'pending', 'revoked']);
+    expect(keyring.keyStatus('k-current', new Date('2026-06-15T00:00:00Z'))).toBe('retired');
+    expect(keyring.keyStatus('unknown', now)).toBeNull();
+  });
+
+  it('keeps old attestations verifiable after their key retires', () => {
+    const signer = createKeyring([{ keyId: 'k-old', privateKey: seed(1), notBefore: '2025-01-01T00:00:00Z', notAfter: '2026-01-01T00:00:00Z' }]);
+    const old = signAttestation({ ...attestation, attestedAt: '2025-06-01T00:00:00.000Z' }, signer);
+
+    expect(verifyAttestationSignature(old, rotatingKeyring())).toBe(true);
+    // Validly signed, but dated after the key's window closed
+    const late = signDocument({ ...attestation, attestedAt: '2026-02-01T00:00:00.000Z' }, signer.getKey('k-old'));
+    expect(verifyAttestationSignature(late, rotatingKeyring())).toBe(false);
+  });
+
+  it('rejects signatures by revoked keys', () => {
+    const signer = createKeyring([{ keyId: 'k-lost', privateKey: seed(4) }]);
+    const signed = signAttestation(attestation, signer);
+    expect(verifyAttestationSignature(signed, signer)).toBe(true);
+    expect(verifyAttestationSignature(signed, rotatingKeyring())).toBe(false);
+  });
+
+  it('publishes every key with its window and status', () => {
+    const { keys } = describeNodeKeys(rotatingKeyring(), new Date('2026-03-01T00:00:00Z'));
+    expect(keys.map(k => [k.keyId, k.status])).toEqual([
+      ['k-old', 'retired'], ['k-current', 'active'], ['k-next', 'pending'], ['k-lost', 'revoked'],
+    ]);
+    expect(keys[0]).toEqual({
+      keyId: 'k-old',
+      algorithm: 'Ed25519',
+      publicKey: publicKeyOf(seed(1)),
+      status: 'retired',
+      notBefore: '2025-01-01T00:00:00.000Z',
+      notAfter: '2026-01-01T00:00:00.000Z',
+      revokedAt: undefined,
+    });
+    expect(keys[3].revokedAt).toBe('2025-11-03T00:00:00.000Z');
+  });
+
+  it('signs the revocation list with the active key', () => {
+    const keyring = rotatingKeyring();
+    const now = new Date('2026-03-01T00:00:00Z');
+    const list = buildRevocationList(keyring, now);
+    expect(list).toMatchObject({
+      type: 'nexart.key-revocations.v1',
+      issuedAt: now.toISOString(),
+      revoked: [{ keyId: 'k-lost', revokedAt: '2025-11-03T00:00:00.000Z', reason: 'key_compromise' }],
+      keyId: 'k-current',
+    });
+    expect(verifyDocumentSignature(list, keyring.getKey('k-current').publicKey)).toBe(true);
+    expect(verifyDocumentSignature({ ...list, revoked: [] }, keyring.getKey('k-current').publicKey)).toBe(false);
+  });
+
+  it('validates key ring entries', () => {
+    expect(() => createKeyring([{ keyId: 'a' }])).toThrow(/privateKey or publicKey is required/);
+    expect(() => createKeyring([{ keyId: 'a', privateKey: seed(1), notBefore: 'soon' }])).toThrow(/notBefore must be an ISO date/);
+    expect(() => createKeyring([{ keyId: 'a', privateKey: seed(1), notBefore: '2026-02-01T00:00:00Z', notAfter: '2026-01-01T00:00:00Z' }]))
+      .toThrow(/notBefore must be earlier than notAfter/);
+    expect(() => createKeyring([{ keyId: 'a', privateKey: seed(1) }, { keyId: 'a', privateKey: seed(2) }])).toThrow(/Duplicate signing keyId: a/);
+  });
+
+  it('loads a key ring from NEXART_SIGNING_KEYS ahead of a single key', () => {
+    const keyring = loadNodeKeyring({
+      NEXART_SIGNING_KEY: SEED,
+      NEXART_SIGNING_KEYS: JSON.stringify([{ keyId: 'ring', privateKey: seed(5) }]),
+    });
+    expect(keyring.activeKey().keyId).toBe('ring');
+    expect(() => loadNodeKeyring({ NEXART_SIGNING_KEYS: '[]' })).toThrow(/non-empty JSON array/);
+    expect(() => loadNodeKeyring({ NODE_ENV: 'production', NEXART_SIGNING_KEYS: JSON.stringify([{ publicKey: publicKeyOf(seed(1)) }]) }))
+      .toThrow(/no unrevoked key with a privateKey/);
+  });
+
+  it('removes key material from the environment once loaded', () => {
+    const env = { NEXART_SIGNING_KEY: SEED, NEXART_SIGNING_KEYS_FILE: '/nonexistent', NODE_ENV: 'test' };
+    expect(() => loadNodeKeyring(env)).toThrow(/ENOENT/);
+    expect(env).toEqual({ NODE_ENV: 'test' });
+
+    const single = { NEXART_SIGNING_KEY: SEED };
+    loadNodeKeyring(single);
+    expect(single).toEqual({});
+  });
+});
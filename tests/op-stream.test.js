@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { createOpStream, OP_STREAM_SCHEME } from '../src/op-stream.js';
+
+// Stand-in runtime: circle() is implemented with ellipse(), as in the SDK
+function makeRuntime(log = []) {
+  const p = {
+    fill: (...args) => log.push(['fill', ...args]),
+    ellipse: (...args) => log.push(['ellipse', ...args]),
+    rect: (...args) => log.push(['rect', ...args]),
+    translate: () => {},
+    image: () => {},
+    set: () => {},
+    random: () => 0.5,
+  };
+  p.circle = (x, y, d) => p.ellipse(x, y, d, d);
+  return p;
+}
+
+function streamHash(draw) {
+  const stream = createOpStream();
+  const p = makeRuntime();
+  stream.instrument(p, 'main');
+  draw(p, stream);
+  return stream.digest();
+}
+
+describe('createOpStream', () => {
+  it('is stable for identical call sequences', () => {
+    const draw = (p) => {
+      p.fill(255, 0, 0);
+      p.rect(10, 20, 30.5, 40);
+    };
+    const a = streamHash(draw);
+    expect(a.opStreamHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(a).toEqual(streamHash(draw));
+    expect(a.opCount).toBe(2);
+  });
+
+  it('changes with arguments, order and calls', () => {
+    const base = streamHash((p) => { p.fill(0); p.rect(0, 0, 10, 10); }).opStreamHash;
+    expect(streamHash((p) => { p.fill(0); p.rect(0, 0, 10, 11); }).opStreamHash).not.toBe(base);
+    expect(streamHash((p) => { p.rect(0, 0, 10, 10); p.fill(0); }).opStreamHash).not.toBe(base);
+    expect(streamHash((p) => { p.fill(0); p.rect(0, 0, 10, 10); p.translate(1, 0); }).opStreamHash).not.toBe(base);
+  });
+
+  it('still calls through to the runtime', () => {
+    const log = [];
+    const stream = createOpStream();
+    const p = makeRuntime(log);
+    stream.instrument(p, 'main');
+    p.fill('#fff');
+    expect(log).toEqual([['fill', '#fff']]);
+  });
+
+  it('records only the call the sketch made, not nested runtime calls', () => {
+    const { opCount } = streamHash((p) => p.circle(5, 5, 10));
+    expect(opCount).toBe(1);
+  });
+
+  it('does not record functions outside the op set', () => {
+    expect(streamHash((p) => p.random()).opCount).toBe(0);
+  });
+
+  it('includes executor marks', () => {
+    const plain = streamHash((p) => p.rect(0, 0, 1, 1)).opStreamHash;
+    const marked = streamHash((p, stream) => { stream.mark('draw', 0); p.rect(0, 0, 1, 1); });
+    expect(marked.opCount).toBe(2);
+    expect(marked.opStreamHash).not.toBe(plain);
+  });
+
+  it('references other runtimes by target and pixel data by digest', () => {
+    const draw = (pixels) => (p, stream) => {
+      const g = makeRuntime();
+      stream.instrument(g, 'graphics:1');
+      g.rect(0, 0, 1, 1);
+      p.image(g, 0, 0);
+      p.set(0, 0, { width: 1, height: 1, pixels: new Uint8ClampedArray(pixels) });
+    };
+    const a = streamHash(draw([1, 2, 3, 4]));
+    expect(a.opCount).toBe(3);
+    expect(a).toEqual(streamHash(draw([1, 2, 3, 4])));
+    expect(a.opStreamHash).not.toBe(streamHash(draw([1, 2, 3, 5])).opStreamHash);
+  });
+
+  it('encodes non-finite numbers instead of failing', () => {
+    expect(streamHash((p) => p.rect(NaN, Infinity, undefined, 1)).opCount).toBe(1);
+  });
+
+  it('names its scheme', () => {
+    expect(OP_STREAM_SCHEME).toBe('nexart.opstream.v1');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { resolveOutputFormat, OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } from '../src/output-formats.js';
+
+describe('Output formats', () => {
+  it('defaults to the canonical PNG', () => {
+    expect(DEFAULT_OUTPUT_FORMAT).toBe('png');
+    expect(resolveOutputFormat(undefined)).toEqual({ id: 'png', mime: 'image/png', canonical: true });
+  });
+
+  it('marks vector formats non-canonical', () => {
+    expect(resolveOutputFormat('svg')).toMatchObject({ id: 'svg', mime: 'image/svg+xml', canonical: false });
+    expect(resolveOutputFormat('pdf')).toMatchObject({ id: 'pdf', mime: 'application/pdf', canonical: false });
+    expect(Object.values(OUTPUT_FORMATS).filter(f => f.canonical)).toHaveLength(1);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => resolveOutputFormat('eps')).toThrow(/^PROTOCOL_VIOLATION: Unsupported output format: eps. Supported: png, svg, pdf$/);
+  });
+
+  it('only allows vector output for static renders', () => {
+    expect(resolveOutputFormat('png', 'loop').id).toBe('png');
+    expect(() => resolveOutputFormat('svg', 'loop')).toThrow(/^PROTOCOL_VIOLATION: svg output is only available for static renders, not loop mode$/);
+    expect(() => resolveOutputFormat('pdf', 'frame')).toThrow(/not frame mode/);
+  });
+});
@@ -0,0 +1,361 @@
+import { describe, it, expect } from 'vitest';
+import { extendP5Runtime } from '../src/p5-extensions.js';
+import { CANVAS_PROFILES } from '../src/protocol-runtimes.js';
+
+// Minimal 2D context: every glyph is 10px wide, ascent 8, descent 2
+function makeCanvas() {
+  const calls = [];
+  const ctx = {
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    measureText: (str) => ({ width: str.length * 10, emHeightAscent: 8, emHeightDescent: 2 }),
+    fillText: (str, x, y) => calls.push([str, x, y]),
+    save: () => {},
+    restore: () => {},
+  };
+  return { calls, ctx, canvas: { getContext: () => ctx } };
+}
+
+// Stand-in for the SDK runtime: push/pop save and restore the context
+function makeRuntime(canvasProfile = CANVAS_PROFILES['nexart.canvas.v2']) {
+  const { calls, ctx, canvas } = makeCanvas();
+  const saved = [];
+  const rects = [];
+  const ctxState = () => ({
+    font: ctx.font,
+    textAlign: ctx.textAlign,
+    textBaseline: ctx.textBaseline,
+    lineCap: ctx.lineCap,
+    lineJoin: ctx.lineJoin,
+    globalCompositeOperation: ctx.globalCompositeOperation,
+  });
+  const p = extendP5Runtime({
+    rect: (...args) => rects.push(args),
+    ellipse: () => {},
+    push: () => saved.push(ctxState()),
+    pop: () => Object.assign(ctx, saved.pop() ?? {}),
+  }, canvas, { canvasProfile });
+  return { p, ctx, calls, rects };
+}
+
+describe('extendP5Runtime text', () => {
+  it('defaults to the bundled sans-serif font', () => {
+    const { p, ctx } = makeRuntime();
+    expect(ctx.font).toBe('normal 12px "DejaVu Sans"');
+    expect(p.textFont()).toBe('DejaVu Sans');
+  });
+
+  it('combines textFont, textSize and textStyle into ctx.font', () => {
+    const { p, ctx } = makeRuntime();
+    p.textFont('serif', 40);
+    p.textStyle(p.BOLDITALIC);
+    expect(ctx.font).toBe('bold italic 40px "DejaVu Serif"');
+    expect(p.textSize()).toBe(40);
+    expect(p.textLeading()).toBe(50);
+  });
+
+  it('rejects fonts outside the protocol set', () => {
+    const { p } = makeRuntime();
+    expect(() => p.textFont('Comic Sans MS')).toThrow(/^PROTOCOL_VIOLATION: textFont\("Comic Sans MS"\) is not allowed/);
+  });
+
+  it('measures text and font extents', () => {
+    const { p } = makeRuntime();
+    expect(p.textWidth('abc')).toBe(30);
+    expect(p.textWidth('ab\nabcd')).toBe(40);
+    expect(p.textAscent()).toBe(8);
+    expect(p.textDescent()).toBe(2);
+  });
+
+  it('advances multi-line text by textLeading', () => {
+    const { p, calls } = makeRuntime();
+    p.textLeading(20);
+    p.text('one\ntwo', 5, 100);
+    expect(calls).toEqual([['one', 5, 100], ['two', 5, 120]]);
+  });
+
+  it('wraps words inside a text box and drops overflowing lines', () => {
+    const { p, calls } = makeRuntime();
+    p.textLeading(10);
+    p.text('aa bb cc dd', 0, 0, 50, 20);
+    expect(calls).toEqual([['aa bb', 0, 8], ['cc dd', 0, 18]]);
+
+    calls.length = 0;
+    p.text('aa bb cc dd ee', 0, 0, 20, 20);
+    expect(calls).toEqual([['aa', 0, 8], ['bb', 0, 18]]);
+  });
+
+  it('wraps by character with textWrap(CHAR) and aligns within the box', () => {
+    const { p, calls } = makeRuntime();
+    p.textWrap(p.CHAR);
+    p.textAlign(p.CENTER);
+    p.textLeading(10);
+    p.text('abcdef', 0, 0, 40);
+    expect(calls).toEqual([['abcd', 20, 8], ['ef', 20, 18]]);
+  });
+
+  it('keeps the original text functions without a pinned font set', () => {
+    const { p, ctx, calls } = makeRuntime(CANVAS_PROFILES['nexart.canvas.v1']);
+    expect(ctx.font).toBe('10px sans-serif');
+    expect(p.textStyle).toBeUndefined();
+
+    p.textSize(40);
+    p.textAlign(p.CENTER);
+    p.text('one\ntwo', 5, 100);
+    expect(ctx.font).toBe('40px sans-serif');
+    expect(ctx.textAlign).toBe('center');
+    expect(calls).toEqual([['one\ntwo', 5, 100]]);
+  });
+});
+
+describe('extendP5Runtime push/pop', () => {
+  it('restores rectMode and ellipseMode like p5', () => {
+    const { p, rects } = makeRuntime();
+    p.push();
+    p.rectMode(p.CENTER);
+    p.rect(50, 50, 20, 20);
+    p.pop();
+    p.rect(50, 50, 20, 20);
+    expect(rects).toEqual([[40, 40, 20, 20], [50, 50, 20, 20]]);
+  });
+
+  it('restores text settings so later text uses the outer state', () => {
+    const { p, ctx } = makeRuntime();
+    p.textSize(20);
+    p.push();
+    p.textFont('monospace');
+    p.textSize(64);
+    p.textStyle(p.BOLD);
+    p.textAlign(p.CENTER, p.CENTER);
+    p.pop();
+
+    expect(p.textSize()).toBe(20);
+    expect(p.textLeading()).toBe(25);
+    expect(p.textFont()).toBe('DejaVu Sans');
+    expect(p.textAlign()).toEqual({ horizontal: 'left', vertical: 'alphabetic' });
+    expect(ctx.font).toBe('normal 20px "DejaVu Sans"');
+  });
+
+  it('restores stroke cap/join and blend mode across nested push/pop', () => {
+    const { p, ctx } = makeRuntime();
+    p.strokeCap('square');
+    p.push();
+    p.strokeCap('project');
+    p.blendMode(p.ADD);
+    p.push();
+    p.strokeJoin('bevel');
+    p.blendMode(p.MULTIPLY);
+    p.pop();
+    expect(ctx.globalCompositeOperation).toBe('lighter');
+    expect(ctx.lineCap).toBe('square');
+    p.pop();
+    expect(ctx.lineCap).toBe('butt');
+    expect(ctx.globalCompositeOperation).toBeUndefined();
+  });
+
+  it('ignores an unbalanced pop()', () => {
+    const { p } = makeRuntime();
+    p.textSize(30);
+    p.pop();
+    expect(p.textSize()).toBe(30);
+  });
+
+  it('leaves push()/pop() to the runtime without a pushPop profile', () => {
+    const { p, rects } = makeRuntime(CANVAS_PROFILES['nexart.canvas.v1']);
+    p.push();
+    p.rectMode(p.CENTER);
+    p.pop();
+    p.rect(50, 50, 20, 20);
+    expect(rects).toEqual([[40, 40, 20, 20]]);
+  });
+});
+
+// RGBA-backed context with the ImageData calls the pixel API relies on
+function makePixelRuntime(width = 4, height = 3, canvasProfile = CANVAS_PROFILES['nexart.canvas.v2']) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const imageData = (w, h, source) => ({ width: w, height: h, data: source ?? new Uint8ClampedArray(w * h * 4) });
+  const ctx = {
+    fillStyle: '#000000',
+    measureText: () => ({ width: 0, emHeightAscent: 8, emHeightDescent: 2 }),
+    createImageData: (w, h) => imageData(w, h),
+    getImageData: (x, y, w, h) => {
+      const out = imageData(w, h);
+      for (let row = 0; row < h; row++) {
+        for (let col = 0; col < w; col++) {
+          if (x + col < 0 || y + row < 0 || x + col >= width || y + row >= height) continue;
+          out.data.set(data.subarray(((y + row) * width + x + col) * 4, ((y + row) * width + x + col) * 4 + 4), (row * w + col) * 4);
+        }
+      }
+      return out;
+    },
+    putImageData: (img, dx, dy, sx = 0, sy = 0, sw = img.width, sh = img.height) => {
+      for (let row = sy; row < sy + sh; row++) {
+        for (let col = sx; col < sx + sw; col++) {
+          const x = dx + col;
+          const y = dy + row;
+          if (x < 0 || y < 0 || x >= width || y >= height) continue;
+          data.set(img.data.subarray((row * img.width + col) * 4, (row * img.width + col) * 4 + 4), (y * width + x) * 4);
+        }
+      }
+    },
+  };
+  const canvas = { width, height, getContext: () => ctx };
+  const p = extendP5Runtime({ rect: () => {}, ellipse: () => {}, push: () => {}, pop: () => {} }, canvas, { canvasProfile });
+  return { p, data };
+}
+
+describe('extendP5Runtime pixels', () => {
+  it('loadPixels exposes the canvas and updatePixels writes it back', () => {
+    const { p, data } = makePixelRuntime();
+    data.set([1, 2, 3, 255], 0);
+    p.loadPixels();
+    expect(p.pixels).toHaveLength(4 * 3 * 4);
+    expect(Array.from(p.pixels.slice(0, 4))).toEqual([1, 2, 3, 255]);
+
+    p.pixels[4] = 99;
+    expect(data[4]).toBe(0);
+    p.updatePixels();
+    expect(data[4]).toBe(99);
+  });
+
+  it('get returns a pixel, a region or transparent black outside the canvas', () => {
+    const { p, data } = makePixelRuntime();
+    data.set([10, 20, 30, 255], (1 * 4 + 2) * 4);
+    expect(p.get(2, 1)).toEqual([10, 20, 30, 255]);
+    expect(p.get(2.7, 1.2)).toEqual([10, 20, 30, 255]);
+    expect(p.get(-1, 0)).toEqual([0, 0, 0, 0]);
+    expect(p.get(4, 0)).toEqual([0, 0, 0, 0]);
+
+    const region = p.get(2, 1, 2, 1);
+    expect(region.width).toBe(2);
+    expect(region.height).toBe(1);
+    expect(Array.from(region.pixels)).toEqual([10, 20, 30, 255, 0, 0, 0, 0]);
+    expect(p.get().width).toBe(4);
+  });
+
+  it('set writes straight to the canvas until pixels are loaded', () => {
+    const { p, data } = makePixelRuntime();
+    p.set(0, 0, [255, 0, 0]);
+    p.set(1, 0, '#00ff00');
+    expect(Array.from(data.slice(0, 8))).toEqual([255, 0, 0, 255, 0, 255, 0, 255]);
+
+    p.loadPixels();
+    p.set(2, 0, [0, 0, 255, 128]);
+    p.set(9, 9, [1, 1, 1]);
+    expect(Array.from(data.slice(8, 12))).toEqual([0, 0, 0, 0]);
+    p.updatePixels();
+    expect(Array.from(data.slice(8, 12))).toEqual([0, 0, 255, 128]);
+  });
+
+  it('set copies a region from get back onto the canvas', () => {
+    const { p, data } = makePixelRuntime();
+    data.set([7, 7, 7, 255], 0);
+    p.set(3, 2, p.get(0, 0, 1, 1));
+    expect(Array.from(data.slice(-4))).toEqual([7, 7, 7, 255]);
+  });
+
+  it('filter rewrites the canvas and refreshes loaded pixels', () => {
+    const { p, data } = makePixelRuntime();
+    data.set([200, 100, 0, 255], 0);
+    p.loadPixels();
+    p.filter(p.INVERT);
+    expect(Array.from(data.slice(0, 4))).toEqual([55, 155, 255, 255]);
+    expect(Array.from(p.pixels.slice(0, 4))).toEqual([55, 155, 255, 255]);
+  });
+
+  it('rejects unknown filter modes', () => {
+    const { p } = makePixelRuntime();
+    expect(() => p.filter('sharpen')).toThrow(/unknown filter mode "sharpen"/);
+  });
+
+  it('leaves the pixel functions to the runtime without a pixels profile', () => {
+    const runtime = {
+      rect: () => {}, ellipse: () => {}, push: () => {}, pop: () => {},
+      loadPixels: () => 'runtime', updatePixels: () => 'runtime', get: () => 'runtime', set: () => 'runtime', pixels: null,
+    };
+    const canvas = { width: 4, height: 3, getContext: () => ({ measureText: () => ({ width: 0 }) }) };
+    const p = extendP5Runtime(runtime, canvas, { canvasProfile: CANVAS_PROFILES['nexart.canvas.v1'] });
+    expect([p.loadPixels(), p.updatePixels(), p.get(0, 0), p.set(0, 0, 0)]).toEqual(['runtime', 'runtime', 'runtime', 'runtime']);
+    expect(p.pixels).toBeNull();
+    expect(p.filter).toBeUndefined();
+  });
+});
+
+describe('extendP5Runtime createGraphics/image', () => {
+  function makeCompositing(canvasProfile = CANVAS_PROFILES['nexart.canvas.v2']) {
+    const draws = [];
+    const stub = () => ({ rect: () => {}, ellipse: () => {}, push: () => {}, pop: () => {} });
+    const fakeCanvas = (width, height) => {
+      const ctx = {
+        measureText: () => ({ width: 0, emHeightAscent: 8, emHeightDescent: 2 }),
+        drawImage: (...args) => draws.push(args),
+      };
+      return { width, height, getContext: () => ctx };
+    };
+    const buffers = [];
+    const createGraphics = (w, h) => {
+      const bufferCanvas = fakeCanvas(w, h);
+      const pg = extendP5Runtime(stub(), bufferCanvas, { createGraphics, canvasProfile });
+      buffers.push(bufferCanvas);
+      return pg;
+    };
+    const p = extendP5Runtime(stub(), fakeCanvas(100, 100), { createGraphics, canvasProfile });
+    return { p, draws, buffers };
+  }
+
+  it('is unavailable without a buffer factory', () => {
+    const { p } = makeRuntime();
+    expect(() => p.createGraphics(10, 10)).toThrow(/^PROTOCOL_VIOLATION: createGraphics\(\) is not available/);
+  });
+
+  it('delegates loadImage() to the asset loader', () => {
+    const { p } = makeRuntime();
+    expect(() => p.loadImage('sha256:00')).toThrow(/^PROTOCOL_VIOLATION: loadImage\(\) is not available/);
+
+    const loaded = { width: 1, height: 1 };
+    const withAssets = extendP5Runtime({ rect: () => {}, ellipse: () => {}, push: () => {}, pop: () => {} },
+      { getContext: () => ({ measureText: () => ({ width: 0 }) }) },
+      { loadImage: (hash) => (hash === 'sha256:ab' ? loaded : null) });
+    expect(withAssets.loadImage('sha256:ab')).toBe(loaded);
+  });
+
+  it('composites a buffer at its own size or scaled', () => {
+    const { p, draws, buffers } = makeCompositing();
+    const pg = p.createGraphics(40, 20);
+    expect(typeof pg.textSize).toBe('function');
+
+    p.image(pg, 5, 6);
+    p.image(pg, 5, 6, 80, 40);
+    expect(draws).toEqual([[buffers[0], 5, 6, 40, 20], [buffers[0], 5, 6, 80, 40]]);
+  });
+
+  it('honours imageMode and restores it on pop()', () => {
+    const { p, draws, buffers } = makeCompositing();
+    const pg = p.createGraphics(40, 20);
+    p.push();
+    p.imageMode(p.CENTER);
+    p.image(pg, 50, 50);
+    p.pop();
+    p.image(pg, 50, 50);
+    p.imageMode(p.CORNERS);
+    p.image(pg, 10, 10, 30, 50);
+    expect(draws).toEqual([
+      [buffers[0], 30, 40, 40, 20],
+      [buffers[0], 50, 50, 40, 20],
+      [buffers[0], 10, 10, 20, 40],
+    ]);
+  });
+
+  it('supports a source rectangle', () => {
+    const { p, draws, buffers } = makeCompositing();
+    const pg = p.createGraphics(40, 20);
+    p.image(pg, 0, 0, 10, 10, 20, 5);
+    expect(draws).toEqual([[buffers[0], 20, 5, 20, 15, 0, 0, 10, 10]]);
+  });
+
+  it('only accepts createGraphics() buffers as image sources', () => {
+    const { p } = makeCompositing();
+    expect(() => p.image({ width: 10, height: 10 }, 0, 0)).toThrow(/^PROTOCOL_VIOLATION: image\(\) source must be a buffer returned by createGraphics\(\) or loadImage\(\)/);
+  });
+});
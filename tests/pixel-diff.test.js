@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { diffRgba, findFirstDivergentFrame, DIFF_TILE_SIZE } from '../src/pixel-diff.js';
+
+function solid(width, height, [r, g, b, a]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = a;
+  }
+  return data;
+}
+
+function setPixel(data, width, x, y, rgba) {
+  data.set(rgba, (y * width + x) * 4);
+}
+
+describe('Pixel diff', () => {
+  it('reports no changes for identical buffers', () => {
+    const a = solid(64, 64, [10, 20, 30, 255]);
+    const report = diffRgba(a, a.slice(), 64, 64);
+
+    expect(report.changedPixels).toBe(0);
+    expect(report.changedPercent).toBe(0);
+    expect(report.maxChannelDelta).toBe(0);
+    expect(report.regions).toEqual([]);
+  });
+
+  it('counts changed pixels and the max channel delta', () => {
+    const width = 100;
+    const height = 100;
+    const expected = solid(width, height, [0, 0, 0, 255]);
+    const actual = expected.slice();
+    setPixel(actual, width, 5, 5, [3, 0, 0, 255]);
+    setPixel(actual, width, 6, 5, [0, 200, 0, 255]);
+
+    const report = diffRgba(expected, actual, width, height);
+    expect(report.totalPixels).toBe(10000);
+    expect(report.changedPixels).toBe(2);
+    expect(report.changedPercent).toBe(0.02);
+    expect(report.maxChannelDelta).toBe(200);
+  });
+
+  it('groups differences into tight bounding boxes per region', () => {
+    const width = DIFF_TILE_SIZE * 8;
+    const height = DIFF_TILE_SIZE * 8;
+    const expected = solid(width, height, [255, 255, 255, 255]);
+    const actual = expected.slice();
+
+    // A 3x2 block near the top-left and a single pixel far away
+    for (let y = 10; y < 12; y++) {
+      for (let x = 20; x < 23; x++) setPixel(actual, width, x, y, [0, 0, 0, 255]);
+    }
+    setPixel(actual, width, 200, 230, [0, 0, 0, 255]);
+
+    const report = diffRgba(expected, actual, width, height);
+    expect(report.regionCount).toBe(2);
+    expect(report.regions[0]).toEqual({ x: 20, y: 10, width: 3, height: 2, changedPixels: 6 });
+    expect(report.regions[1]).toEqual({ x: 200, y: 230, width: 1, height: 1, changedPixels: 1 });
+  });
+
+  it('merges differences that span adjacent tiles into one region', () => {
+    const width = DIFF_TILE_SIZE * 4;
+    const height = DIFF_TILE_SIZE * 4;
+    const expected = solid(width, height, [0, 0, 0, 255]);
+    const actual = expected.slice();
+    for (let x = DIFF_TILE_SIZE - 2; x < DIFF_TILE_SIZE + 2; x++) {
+      setPixel(actual, width, x, 0, [255, 0, 0, 255]);
+    }
+
+    const report = diffRgba(expected, actual, width, height);
+    expect(report.regions).toEqual([{ x: DIFF_TILE_SIZE - 2, y: 0, width: 4, height: 1, changedPixels: 4 }]);
+  });
+
+  it('paints changed pixels into the heatmap', () => {
+    const expected = solid(4, 4, [0, 0, 0, 255]);
+    const actual = expected.slice();
+    setPixel(actual, 4, 1, 1, [255, 0, 0, 255]);
+
+    const { heatmap } = diffRgba(expected, actual, 4, 4);
+    expect(Array.from(heatmap.slice(20, 24))).toEqual([255, 0, 0, 255]);
+    expect(Array.from(heatmap.slice(0, 4))).toEqual([0, 0, 0, 255]);
+  });
+
+  it('rejects buffers that do not match the dimensions', () => {
+    expect(() => diffRgba(new Uint8ClampedArray(4), new Uint8ClampedArray(8), 1, 1)).toThrow(/diffRgba/);
+  });
+});
+
+describe('First divergent frame', () => {
+  it('returns null when manifests agree', () => {
+    expect(findFirstDivergentFrame(['a', 'b'], ['a', 'b'])).toBeNull();
+  });
+
+  it('returns the first differing index', () => {
+    expect(findFirstDivergentFrame(['a', 'b', 'c'], ['a', 'x', 'y'])).toBe(1);
+  });
+
+  it('diverges at the end of the shorter manifest', () => {
+    expect(findFirstDivergentFrame(['a', 'b'], ['a', 'b', 'c'])).toBe(2);
+  });
+});
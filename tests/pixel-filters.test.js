@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'crypto';
+import { applyFilter, FILTER_MODES } from '../src/pixel-filters.js';
+
+function pixels(...rgba) {
+  return new Uint8ClampedArray(rgba.flat());
+}
+
+// Deterministic gradient with some alpha variation
+function gradient(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = (x * 37 + y * 11) % 256;
+      data[i + 1] = (x * 5 + y * 53) % 256;
+      data[i + 2] = (x * y) % 256;
+      data[i + 3] = 255 - ((x + y) % 4) * 20;
+    }
+  }
+  return data;
+}
+
+function digest(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+describe('Pixel filters', () => {
+  it('GRAY uses p5 integer luminance', () => {
+    const data = pixels([255, 0, 0, 255], [10, 200, 30, 128]);
+    applyFilter(data, 2, 1, 'gray');
+    expect(Array.from(data)).toEqual([76, 76, 76, 255, 124, 124, 124, 128]);
+  });
+
+  it('INVERT and OPAQUE leave the other channels alone', () => {
+    const data = pixels([0, 100, 255, 10]);
+    applyFilter(data, 1, 1, 'invert');
+    expect(Array.from(data)).toEqual([255, 155, 0, 10]);
+    applyFilter(data, 1, 1, 'opaque');
+    expect(Array.from(data)).toEqual([255, 155, 0, 255]);
+  });
+
+  it('THRESHOLD defaults to 0.5 and validates its level', () => {
+    const data = pixels([128, 128, 128, 255], [126, 126, 126, 255]);
+    applyFilter(data, 2, 1, 'threshold');
+    expect(Array.from(data)).toEqual([255, 255, 255, 255, 0, 0, 0, 255]);
+    expect(() => applyFilter(pixels([0, 0, 0, 0]), 1, 1, 'threshold', 2)).toThrow(/between 0 and 1/);
+  });
+
+  it('POSTERIZE quantizes each channel to the given levels', () => {
+    const data = pixels([0, 100, 200, 255]);
+    applyFilter(data, 1, 1, 'posterize', 2);
+    expect(Array.from(data)).toEqual([0, 0, 255, 255]);
+    expect(() => applyFilter(pixels([0, 0, 0, 0]), 1, 1, 'posterize', 1)).toThrow(/between 2 and 255/);
+    expect(() => applyFilter(pixels([0, 0, 0, 0]), 1, 1, 'posterize')).toThrow(/between 2 and 255/);
+  });
+
+  it('BLUR spreads a single bright pixel symmetrically', () => {
+    const width = 9;
+    const data = new Uint8ClampedArray(width * width * 4);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    data.set([255, 255, 255, 255], (4 * width + 4) * 4);
+
+    applyFilter(data, width, width, 'blur', 1);
+    const at = (x, y) => data[(y * width + x) * 4];
+    expect(at(4, 4)).toBeGreaterThan(at(5, 4));
+    expect(at(5, 4)).toBeGreaterThan(at(6, 4));
+    expect(at(3, 4)).toBe(at(5, 4));
+    expect(at(4, 3)).toBe(at(4, 5));
+    expect(at(0, 0)).toBe(0);
+  });
+
+  it('BLUR with radius 0 is a no-op', () => {
+    const data = gradient(8, 8);
+    const before = data.slice();
+    applyFilter(data, 8, 8, 'blur', 0);
+    expect(data).toEqual(before);
+  });
+
+  it('DILATE spreads the brightest neighbour and ERODE the darkest', () => {
+    const dilated = pixels([0, 0, 0, 255], [255, 255, 255, 255], [0, 0, 0, 255]);
+    applyFilter(dilated, 3, 1, 'dilate');
+    expect(Array.from(dilated)).toEqual(Array(3).fill([255, 255, 255, 255]).flat());
+
+    const eroded = pixels([255, 255, 255, 255], [0, 0, 0, 255], [255, 255, 255, 255]);
+    applyFilter(eroded, 3, 1, 'erode');
+    expect(Array.from(eroded)).toEqual(Array(3).fill([0, 0, 0, 255]).flat());
+  });
+
+  it('produces identical bytes on every run for every mode', () => {
+    const params = { threshold: 0.3, posterize: 4, blur: 2 };
+    for (const mode of FILTER_MODES) {
+      const a = gradient(32, 24);
+      const b = gradient(32, 24);
+      applyFilter(a, 32, 24, mode, params[mode]);
+      applyFilter(b, 32, 24, mode, params[mode]);
+      expect(digest(a)).toBe(digest(b));
+    }
+  });
+
+  it('rejects unknown modes and mismatched buffers', () => {
+    expect(() => applyFilter(pixels([0, 0, 0, 0]), 1, 1, 'sharpen')).toThrow(/unknown filter mode "sharpen"/);
+    expect(() => applyFilter(pixels([0, 0, 0, 0]), 2, 2, 'gray')).toThrow(/must be 16 bytes/);
+  });
+});
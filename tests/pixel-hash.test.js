@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { computePixelHashFromRgba, pixelHashHeader } from '../src/pixel-hash.js';
+
+describe('computePixelHashFromRgba', () => {
+  it('hashes the explicit header followed by raw RGBA bytes', () => {
+    const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 128]);
+    const expected = crypto.createHash('sha256')
+      .update('nexart.pixels.v1:rgba8:2x1\n')
+      .update(Buffer.from(data))
+      .digest('hex');
+
+    expect(computePixelHashFromRgba(data, 2, 1)).toBe(expected);
+  });
+
+  it('binds the dimensions, not just the bytes', () => {
+    const data = new Uint8ClampedArray(16).fill(7);
+    expect(computePixelHashFromRgba(data, 4, 1)).not.toBe(computePixelHashFromRgba(data, 2, 2));
+  });
+
+  it('rejects a buffer that does not match the dimensions', () => {
+    expect(() => computePixelHashFromRgba(new Uint8ClampedArray(12), 2, 2)).toThrow(/does not match/);
+  });
+
+  it('uses an ASCII header', () => {
+    expect(pixelHashHeader(1950, 2400).toString('ascii')).toBe('nexart.pixels.v1:rgba8:1950x2400\n');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { normalizePngChunks, PNG_ENCODING_PROFILE } from '../src/png-profile.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(zlib.crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+function readChunks(png) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    const crc = png.readUInt32BE(offset + 8 + length);
+    chunks.push({ type, data, crc, crcOk: crc === zlib.crc32(png.subarray(offset + 4, offset + 8 + length)) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function makePng() {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(1, 0);
+  ihdr.writeUInt32BE(1, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const idat = zlib.deflateSync(Buffer.from([0, 255, 0, 0, 255]));
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('gAMA', Buffer.from([0, 0, 0xb1, 0x8f])),
+    chunk('tIME', Buffer.from([0x07, 0xea, 1, 1, 0, 0, 0])),
+    chunk('IDAT', idat),
+    chunk('tEXt', Buffer.from('Software\0cairo')),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+describe('normalizePngChunks', () => {
+  it('keeps only the chunks listed in the encoding profile', () => {
+    const chunks = readChunks(normalizePngChunks(makePng()));
+    expect(chunks.map(c => c.type)).toEqual(PNG_ENCODING_PROFILE.chunks);
+  });
+
+  it('writes a valid sRGB chunk with perceptual intent', () => {
+    const srgb = readChunks(normalizePngChunks(makePng())).find(c => c.type === 'sRGB');
+    expect(srgb.data).toEqual(Buffer.from([0]));
+    expect(srgb.crcOk).toBe(true);
+  });
+
+  it('copies IDAT bytes unchanged', () => {
+    const original = readChunks(makePng()).find(c => c.type === 'IDAT');
+    const normalized = readChunks(normalizePngChunks(makePng())).find(c => c.type === 'IDAT');
+    expect(normalized.data.equals(original.data)).toBe(true);
+  });
+
+  it('is idempotent', () => {
+    const once = normalizePngChunks(makePng());
+    expect(normalizePngChunks(once).equals(once)).toBe(true);
+  });
+
+  it('rejects non-PNG input', () => {
+    expect(() => normalizePngChunks(Buffer.from('not a png'))).toThrow(/not a PNG/);
+  });
+});
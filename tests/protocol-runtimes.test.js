@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PROTOCOL_RUNTIMES,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  getProtocolRuntime,
+  describeProtocolRuntimes,
+} from '../src/protocol-runtimes.js';
+import { FONT_SET_ID, FONT_SET_HASH } from '../src/fonts.js';
+
+describe('protocol runtime registry', () => {
+  it('registers a runtime for every supported protocol version', () => {
+    expect(SUPPORTED_PROTOCOL_VERSIONS).toEqual(['1.0.0', '1.1.0', '1.2.0', '1.3.0']);
+    for (const version of SUPPORTED_PROTOCOL_VERSIONS) {
+      expect(getProtocolRuntime(version).protocolVersion).toBe(version);
+    }
+  });
+
+  it('rejects unknown versions with a protocol violation', () => {
+    expect(() => getProtocolRuntime('9.9.9')).toThrow(
+      /^PROTOCOL_VIOLATION: Unsupported protocol version: 9\.9\.9\. Supported: 1\.0\.0, 1\.1\.0, 1\.2\.0, 1\.3\.0$/
+    );
+    expect(() => getProtocolRuntime('constructor')).toThrow(/^PROTOCOL_VIOLATION/);
+  });
+
+  it('gives every runtime a distinct, stable fingerprint', () => {
+    const fingerprints = SUPPORTED_PROTOCOL_VERSIONS.map(v => PROTOCOL_RUNTIMES[v].fingerprint);
+    for (const fingerprint of fingerprints) {
+      expect(fingerprint).toMatch(/^[a-f0-9]{64}$/);
+    }
+    expect(new Set(fingerprints).size).toBe(fingerprints.length);
+  });
+
+  it('lists runtimes without their functions', () => {
+    const listed = describeProtocolRuntimes();
+    expect(listed.map(r => r.protocolVersion)).toEqual(SUPPORTED_PROTOCOL_VERSIONS);
+    expect(listed[2]).toEqual({
+      protocolVersion: '1.2.0',
+      sdkVersion: expect.any(String),
+      seedDerivation: 'nexart.seed.fold31',
+      varNormalization: 'nexart.vars.zerofill.v1',
+      extensions: ['nexart.api.v1.0', 'nexart.api.v1.1', 'nexart.api.v1.2'],
+      canvas: expect.objectContaining({ id: 'nexart.canvas.v1', width: 1950, height: 2400, pngProfile: 'nexart.png.legacy' }),
+      fingerprint: PROTOCOL_RUNTIMES['1.2.0'].fingerprint,
+    });
+  });
+});
+
+describe('protocol runtime semantics', () => {
+  it('keeps the legacy seed fold up to 1.2.0 and uses SHA-256 from 1.3.0', () => {
+    expect(getProtocolRuntime('1.2.0').deriveSeed('ab').numericSeed).toBe(97 * 31 + 98);
+    expect(getProtocolRuntime('1.3.0').seedDerivation).toBe('nexart.seed.sha256.v1');
+    expect(getProtocolRuntime('1.3.0').deriveSeed('ab').derivedSeed).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('keeps node-canvas PNG encoding up to 1.2.0 and the pinned profile from 1.3.0', () => {
+    for (const version of ['1.0.0', '1.1.0', '1.2.0']) {
+      expect(getProtocolRuntime(version).canvas.pngProfile).toBe('nexart.png.legacy');
+    }
+    expect(getProtocolRuntime('1.3.0').canvas.pngProfile).toBe('nexart.png.v1');
+  });
+
+  it('pins the font set from 1.3.0 only', () => {
+    for (const version of ['1.0.0', '1.1.0', '1.2.0']) {
+      expect(getProtocolRuntime(version).canvas).toMatchObject({ fontSet: null, fontSetHash: null });
+    }
+    expect(getProtocolRuntime('1.3.0').canvas).toMatchObject({ fontSet: FONT_SET_ID, fontSetHash: FONT_SET_HASH });
+  });
+
+  it('normalizes VAR to 10 entries, zeroing invalid values', () => {
+    const { normalizeVars } = getProtocolRuntime('1.0.0');
+    expect(normalizeVars([50, 150, '5', -1, NaN, 100]).normalizedVars).toEqual([50, 0, 0, 0, 0, 100, 0, 0, 0, 0]);
+    expect(normalizeVars(undefined).normalizedVars).toEqual(new Array(10).fill(0));
+  });
+
+  it('removes the API later protocol versions added', () => {
+    const makeRuntime = () => ({
+      rect() {}, fract() {}, star() {}, blendMode() {}, ADD: 'lighter',
+      curveVertex() {}, createGraphics() {}, filter() {}, pixels: [],
+    });
+
+    const v100 = makeRuntime();
+    getProtocolRuntime('1.0.0').restrictApi(v100);
+    expect(Object.keys(v100)).toEqual(['rect']);
+
+    const v110 = makeRuntime();
+    getProtocolRuntime('1.1.0').restrictApi(v110);
+    expect(Object.keys(v110)).toEqual(['rect', 'fract', 'star', 'blendMode', 'ADD']);
+
+    const v120 = makeRuntime();
+    getProtocolRuntime('1.2.0').restrictApi(v120);
+    expect(Object.keys(v120)).toEqual(['rect', 'fract', 'star', 'blendMode', 'ADD', 'curveVertex', 'createGraphics', 'pixels']);
+
+    const v130 = makeRuntime();
+    getProtocolRuntime('1.3.0').restrictApi(v130);
+    expect(Object.keys(v130)).toEqual(Object.keys(makeRuntime()));
+  });
+
+  it('renders 1.0.0-1.2.0 with the canvas they were minted with', () => {
+    for (const version of ['1.0.0', '1.1.0']) {
+      expect(getProtocolRuntime(version).canvas).toBe(getProtocolRuntime('1.2.0').canvas);
+    }
+    expect(getProtocolRuntime('1.2.0').canvas).toMatchObject({ pngProfile: 'nexart.png.legacy', fontSet: null, pushPop: null, pixels: null });
+    expect(getProtocolRuntime('1.3.0').canvas).toMatchObject({ pngProfile: 'nexart.png.v1', fontSet: FONT_SET_ID, pushPop: 'nexart.pushpop.v1', pixels: 'nexart.pixelapi.v1' });
+    expect(getProtocolRuntime('1.2.0').extensions).not.toContain('nexart.api.v1.3');
+  });
+});
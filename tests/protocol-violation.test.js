@@ -1,4 +1,6 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import crypto from 'crypto';
+import http from 'http';
 
 const BASE_URL = 'http://localhost:5000';
 
@@ -62,3 +64,230 @@ describe('Protocol Violation: createCanvas()', () => {
     expect(data.imageHash).toBeDefined();
   });
 });
+
+describe('Protocol: createGraphics()', () => {
+  it('should render a sketch that composites an offscreen buffer', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() {
+          const layer = createGraphics(400, 400);
+          layer.background(255, 0, 0);
+          background(0);
+          image(layer, 100, 100);
+        }`,
+        seed: 'test-seed',
+        vars: [50]
+      })
+    });
+
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.type).toBe('static');
+    expect(data.imageHash).toBeDefined();
+  });
+
+  it('should return 400 PROTOCOL_VIOLATION for a buffer larger than the canvas', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { createGraphics(4000, 4000); }`,
+        seed: 'test-seed',
+        vars: [50]
+      })
+    });
+
+    expect(response.status).toBe(400);
+
+    const data = await response.json();
+    expect(data.error).toBe('PROTOCOL_VIOLATION');
+    expect(data.message).toContain('createGraphics(4000, 4000) is not allowed');
+  });
+});
+
+describe('Protocol: snapshot assets', () => {
+  // 1x1 RGBA PNG
+  const PIXEL_PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  const PIXEL_PNG_HASH = `sha256:${crypto.createHash('sha256').update(Buffer.from(PIXEL_PNG_BASE64, 'base64')).digest('hex')}`;
+
+  it('should render a sketch that draws a snapshot asset with loadImage()', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { background(0); image(loadImage("${PIXEL_PNG_HASH}"), 0, 0, 200, 200); }`,
+        seed: 'test-seed',
+        vars: [50],
+        protocolVersion: '1.3.0',
+        assets: { [PIXEL_PNG_HASH]: PIXEL_PNG_BASE64 }
+      })
+    });
+
+    expect(response.status).toBe(200);
+
+    const data = await response.json();
+    expect(data.type).toBe('static');
+  });
+
+  it('should return 400 PROTOCOL_VIOLATION on /verify when an asset does not match its hash', async () => {
+    const wrongHash = `sha256:${'0'.repeat(64)}`;
+    const response = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        snapshot: {
+          code: `function setup() { image(loadImage("${wrongHash}"), 0, 0); }`,
+          seed: 'test-seed',
+          vars: [50],
+          protocolVersion: '1.3.0',
+          assets: { [wrongHash]: PIXEL_PNG_BASE64 }
+        },
+        expectedHash: 'somehash'
+      })
+    });
+
+    expect(response.status).toBe(400);
+
+    const data = await response.json();
+    expect(data.error).toBe('PROTOCOL_VIOLATION');
+    expect(data.asset).toBe(wrongHash);
+    expect(data.computedHash).toBe(PIXEL_PNG_HASH);
+    expect(data.verified).toBe(false);
+  });
+
+  it('should return 400 PROTOCOL_VIOLATION when loadImage() names a missing asset', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { loadImage("${PIXEL_PNG_HASH}"); }`,
+        seed: 'test-seed',
+        vars: [50],
+        protocolVersion: '1.3.0'
+      })
+    });
+
+    expect(response.status).toBe(400);
+
+    const data = await response.json();
+    expect(data.error).toBe('PROTOCOL_VIOLATION');
+    expect(data.message).toContain('does not name an asset in this snapshot');
+  });
+});
+
+describe('Protocol Violation: strict VAR validation', () => {
+  const code = `function setup() { background(VAR[0]); }`;
+
+  it('should reject invalid VARs with each bad index in strict mode', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, seed: 'test-seed', vars: [150, '5'], varsMode: 'strict' })
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('PROTOCOL_VIOLATION');
+    expect(data.message).toContain('VAR[0] = 150 is outside 0-100');
+    expect(data.invalidVars.map(v => [v.index, v.reason])).toEqual([[0, 'out_of_range'], [1, 'not_a_number']]);
+  });
+
+  it('should report normalized VARs in lenient mode', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, seed: 'test-seed', vars: [150, '5'] })
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-vars-normalized')).toBe('0=out_of_range, 1=not_a_number');
+    const data = await response.json();
+    expect(data.varsNormalization.mode).toBe('lenient');
+    expect(data.varsNormalization.changes.map(c => c.action)).toEqual(['zeroed', 'zeroed']);
+  });
+});
+
+describe('Loop Mode: execution limits', () => {
+  it('should reject oversized loops before rendering with the limits and estimate', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: 'function draw() { background(t * 255); }',
+        seed: 'test-seed',
+        execution: { mode: 'loop', totalFrames: 100000, fps: 1000 }
+      })
+    });
+
+    expect(response.status).toBe(400);
+    const data = await response.json();
+    expect(data.error).toBe('LOOP_MODE_ERROR');
+    expect(data.violations.map(v => v.field)).toEqual(['totalFrames', 'fps']);
+    expect(data.limits.maxTotalFrames).toBe(3600);
+    expect(data.estimate.totalFrames).toBe(100000);
+  });
+
+  it('should report the estimate with an accepted loop render', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: 'function draw() { background(t * 255); }',
+        seed: 'test-seed',
+        execution: { mode: 'loop', totalFrames: 4, fps: 2 }
+      })
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.type).toBe('animation');
+    expect(data.loopEstimate).toMatchObject({ totalFrames: 4, fps: 2, durationSeconds: 2, renderedFrames: 4 });
+  });
+
+  it('should send the estimate as early hints before the loop is rendered', async () => {
+    const events = [];
+    const body = await new Promise((resolve, reject) => {
+      const request = http.request(`${BASE_URL}/render`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      }, (response) => {
+        events.push({ statusCode: response.statusCode });
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => { text += chunk; });
+        response.on('end', () => resolve(JSON.parse(text)));
+      });
+      request.on('information', ({ statusCode, headers }) => events.push({ statusCode, headers }));
+      request.on('error', reject);
+      request.end(JSON.stringify({
+        code: 'function draw() { background(t * 255); }',
+        seed: 'test-seed',
+        execution: { mode: 'loop', totalFrames: 4, fps: 2 }
+      }));
+    });
+
+    expect(events.map(e => e.statusCode)).toEqual([103, 200]);
+    expect(JSON.parse(events[0].headers['x-loop-estimate'])).toEqual(body.loopEstimate);
+    expect(Number(events[0].headers['x-estimated-render-ms'])).toBe(body.loopEstimate.estimatedRenderMs);
+  });
+
+  it('should report the estimate with a single-frame render', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: 'function draw() { background(t * 255); }',
+        seed: 'test-seed',
+        execution: { totalFrames: 4, fps: 2, frame: 2 }
+      })
+    });
+
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.type).toBe('frame');
+    expect(data.loopEstimate.renderedFrames).toBe(3);
+  });
+});
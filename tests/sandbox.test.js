@@ -0,0 +1,289 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const BASE_URL = 'http://localhost:5000';
+
+describe('Execution sandbox', () => {
+  it('should return 422 EXECUTION_TIMEOUT for a runaway sketch', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { while (true) {} }`,
+        seed: 'test-seed',
+        vars: [50]
+      })
+    });
+
+    expect(response.status).toBe(422);
+
+    const data = await response.json();
+    expect(data.error).toBe('EXECUTION_TIMEOUT');
+  }, 30000);
+
+  it('should not let a sketch tamper with built-ins used by later renders', async () => {
+    const render = async (code) => {
+      const response = await fetch(`${BASE_URL}/render`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, seed: 'test-seed', vars: [50] })
+      });
+      expect(response.status).toBe(200);
+      return response.json();
+    };
+    const probe = `function setup() { background(Math.sin(1) * 100); }`;
+
+    const before = await render(probe);
+    // Reaches the worker's real global object through Function, bypassing the
+    // names hidden in the sketch scope. Sent once per pool worker.
+    const tamper = `function setup() { (() => {}).constructor("return this")().Math.sin = () => 42; background(0); }`;
+    await Promise.all([render(tamper), render(tamper)]);
+    const after = await render(probe);
+
+    expect(after.imageHash).toBe(before.imageHash);
+  }, 30000);
+
+  it('should keep /health responsive while a runaway sketch is executing', async () => {
+    const runaway = fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { while (true) {} }`,
+        seed: 'test-seed',
+        vars: [50]
+      })
+    });
+
+    const t0 = Date.now();
+    const health = await fetch(`${BASE_URL}/health`);
+    expect(health.status).toBe(200);
+    expect(Date.now() - t0).toBeLessThan(1000);
+
+    await runaway;
+  }, 30000);
+
+  it('should return 422 RESOURCE_LIMIT on /verify when the draw-op budget is exceeded', async () => {
+    const response = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        snapshot: {
+          code: `function setup() { for (let i = 0; i < 1e9; i++) { point(0, 0); } }`,
+          seed: 'test-seed',
+          vars: [50]
+        },
+        expectedHash: 'somehash'
+      })
+    });
+
+    expect(response.status).toBe(422);
+
+    const data = await response.json();
+    expect(['RESOURCE_LIMIT', 'EXECUTION_TIMEOUT']).toContain(data.error);
+    expect(data.verified).toBe(false);
+  }, 30000);
+});
+
+describe('Execution sandbox: createGraphics() buffers', () => {
+  it('should return 422 RESOURCE_LIMIT when a sketch allocates too many buffers', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() { for (let i = 0; i < 9; i++) { createGraphics(10, 10); } }`,
+        seed: 'test-seed',
+        vars: [50]
+      })
+    });
+
+    expect(response.status).toBe(422);
+
+    const data = await response.json();
+    expect(data.error).toBe('RESOURCE_LIMIT');
+    expect(data.message).toContain('createGraphics() buffers');
+  }, 30000);
+});
+
+// Same pixels, different bytes: the IDAT stream recompressed at another zlib
+// level in a single chunk, with every ancillary chunk dropped
+function recompressPng(png) {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const idat = [];
+  let ihdr = null;
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') ihdr = data;
+    if (type === 'IDAT') idat.push(data);
+    offset += 12 + length;
+  }
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  return Buffer.concat([
+    png.subarray(0, 8),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 1 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+describe('Execution sandbox: op stream hash', () => {
+  const snapshot = {
+    code: `function setup() { background(255); fill(200, 0, 0); rect(100, 100, 400, 300); }`,
+    seed: 'op-stream',
+    vars: [10]
+  };
+
+  it('should return the same opStreamHash from /render and verify it on /verify', async () => {
+    const rendered = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(snapshot)
+    }).then(r => r.json());
+    expect(rendered.opStreamHash).toMatch(/^[a-f0-9]{64}$/);
+
+    const verified = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ snapshot, expectedOpStreamHash: rendered.opStreamHash })
+    }).then(r => r.json());
+    expect(verified.verified).toBe(true);
+    expect(verified.opStreamVerified).toBe(true);
+    expect(verified.computedOpStreamHash).toBe(rendered.opStreamHash);
+  }, 30000);
+
+  it('should fail verification when the drawing calls differ', async () => {
+    const rendered = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(snapshot)
+    }).then(r => r.json());
+
+    const response = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        snapshot: { ...snapshot, code: snapshot.code.replace('rect(100', 'rect(101') },
+        expectedOpStreamHash: rendered.opStreamHash
+      })
+    });
+    const data = await response.json();
+    expect(data.verified).toBe(false);
+    expect(data.opStreamVerified).toBe(false);
+  }, 30000);
+
+  it('should verify an expected image by its pixels, not its PNG bytes', async () => {
+    const snapshot = { code: `function setup() { background(30); fill(240); ellipse(900, 1200, 500, 500); }`, seed: 'test-seed', vars: [50] };
+    const rendered = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(snapshot)
+    }).then(r => r.json());
+    const reencoded = recompressPng(Buffer.from(rendered.imageBase64, 'base64'));
+    expect(reencoded.toString('base64')).not.toBe(rendered.imageBase64);
+
+    const response = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ snapshot, expectedImageBase64: reencoded.toString('base64') })
+    });
+    const data = await response.json();
+    expect(data.verified).toBe(true);
+    expect(data.imageVerified).toBe(true);
+    expect(data.diff).toBeUndefined();
+  }, 30000);
+
+  it('should reject an expected image that is not canvas-sized before decoding it', async () => {
+    // IHDR claiming 60000x60000; the decoder would need ~14GB for it
+    const header = Buffer.alloc(33);
+    Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(header);
+    header.writeUInt32BE(60000, 16);
+    header.writeUInt32BE(60000, 20);
+
+    const response = await fetch(`${BASE_URL}/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        snapshot: { code: `function setup() { background(0); }`, seed: 'test-seed', vars: [50] },
+        expectedImageBase64: header.toString('base64')
+      })
+    });
+
+    expect(response.status).toBe(400);
+
+    const data = await response.json();
+    expect(data.error).toBe('INVALID_REQUEST');
+    expect(data.message).toBe('expectedImageBase64 is 60000x60000; expected 1950x2400');
+  });
+});
+
+
+describe('Sandbox queue', () => {
+  const runaway = { code: `function setup() { while (true) {} }`, seed: 'test-seed', vars: [50] };
+  let sandbox;
+
+  beforeAll(async () => {
+    // Limits are read once at import: one worker, one waiting job
+    process.env.RENDER_POOL_SIZE = '1';
+    process.env.RENDER_MAX_QUEUE = '1';
+    process.env.RENDER_TIMEOUT_MS = '20000';
+    sandbox = await import('../src/sandbox.js');
+  });
+
+  it('rejects with SANDBOX_BUSY once the queue is full and drops jobs whose client went away', async () => {
+    const running = new AbortController();
+    const queued = new AbortController();
+    const first = sandbox.renderStaticInSandbox(runaway, { width: 10, height: 10, signal: running.signal });
+    const second = sandbox.renderStaticInSandbox(runaway, { width: 10, height: 10, signal: queued.signal });
+
+    await expect(sandbox.renderStaticInSandbox(runaway, { width: 10, height: 10 })).rejects.toThrow(/^SANDBOX_BUSY:/);
+    expect(sandbox.getSandboxStats().queuedJobs).toBe(1);
+
+    queued.abort();
+    await expect(second).rejects.toThrow(/^REQUEST_ABORTED:/);
+    expect(sandbox.getSandboxStats().queuedJobs).toBe(0);
+
+    running.abort();
+    await expect(first).rejects.toThrow(/^REQUEST_ABORTED:/);
+    expect(sandbox.getSandboxStats().busyWorkers).toBe(0);
+  }, 30000);
+
+  it('rejects immediately when the signal is already aborted', async () => {
+    await expect(sandbox.renderStaticInSandbox(runaway, { width: 10, height: 10, signal: AbortSignal.abort() }))
+      .rejects.toThrow(/^REQUEST_ABORTED:/);
+  });
+
+  it('removes the loop output directory when the worker is terminated', async () => {
+    const previousTmpDir = process.env.TMPDIR;
+    process.env.TMPDIR = fs.mkdtempSync(path.join(os.tmpdir(), 'nexart-sandbox-test-'));
+    try {
+      const client = new AbortController();
+      const loop = sandbox.renderLoopInSandbox({
+        code: `function draw() { while (true) {} }`,
+        seed: 'test-seed',
+        vars: [50],
+        totalFrames: 2,
+        width: 10,
+        height: 10,
+      }, { signal: client.signal });
+
+      setTimeout(() => client.abort(), 500);
+      await expect(loop).rejects.toThrow();
+      expect(fs.readdirSync(process.env.TMPDIR)).toEqual([]);
+    } finally {
+      fs.rmSync(process.env.TMPDIR, { recursive: true, force: true });
+      if (previousTmpDir === undefined) delete process.env.TMPDIR;
+      else process.env.TMPDIR = previousTmpDir;
+    }
+  }, 30000);
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+import { deriveSeed } from '../src/seed.js';
+
+describe('deriveSeed: nexart.seed.fold31', () => {
+  const fold = (seed) => deriveSeed(seed, 'nexart.seed.fold31');
+
+  it('folds string seeds with acc * 31 + charCode', () => {
+    expect(fold('ab')).toEqual({ numericSeed: 97 * 31 + 98, derivedSeed: (97 * 31 + 98).toString(16).padStart(8, '0') });
+  });
+
+  it('truncates numeric seeds to uint32 and treats a missing seed as 0', () => {
+    expect(fold(2 ** 32 + 5).numericSeed).toBe(5);
+    expect(fold(undefined)).toEqual({ numericSeed: 0, derivedSeed: '00000000' });
+  });
+
+  it('collides on short strings, which is why it is legacy only', () => {
+    expect(fold('Aa').numericSeed).toBe(fold('BB').numericSeed);
+  });
+});
+
+describe('deriveSeed: nexart.seed.sha256.v1', () => {
+  const sha = (seed) => deriveSeed(seed, 'nexart.seed.sha256.v1');
+
+  it('hashes the domain-separated canonical seed', () => {
+    const digest = crypto.createHash('sha256').update('nexart.seed.sha256.v1\n"my-seed"').digest();
+    expect(sha('my-seed')).toEqual({ numericSeed: digest.readUInt32BE(0), derivedSeed: digest.toString('hex') });
+  });
+
+  it('separates seeds the fold merges, and strings from numbers', () => {
+    expect(sha('Aa').derivedSeed).not.toBe(sha('BB').derivedSeed);
+    expect(sha('42').derivedSeed).not.toBe(sha(42).derivedSeed);
+  });
+
+  it('rejects seeds that are neither strings nor finite numbers', () => {
+    expect(() => sha(NaN)).toThrow(/^PROTOCOL_VIOLATION: seed must be a string or a finite number$/);
+    expect(() => sha({ a: 1 })).toThrow(/^PROTOCOL_VIOLATION/);
+    expect(sha(undefined).derivedSeed).toBe(sha(null).derivedSeed);
+  });
+
+  it('rejects unknown derivations', () => {
+    expect(() => deriveSeed('x', 'nope')).toThrow(/unknown seed derivation nope/);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { lintSketch } from '../src/sketch-lint.js';
+import { resolveLoopLimits } from '../src/loop-limits.js';
+
+const options = { supportedProtocolVersions: ['1.0.0', '1.1.0', '1.2.0', '1.3.0'], defaultProtocolVersion: '1.2.0' };
+
+function lint(body) {
+  return lintSketch({ protocolVersion: '1.2.0', ...body }, options);
+}
+
+function codes(result) {
+  return result.diagnostics.map(d => d.code);
+}
+
+describe('lintSketch', () => {
+  it('accepts a clean static sketch', () => {
+    const result = lint({ code: 'function setup() { background(VAR[0]); }' });
+    expect(result).toMatchObject({ valid: true, mode: 'static', errorCount: 0, warningCount: 0, diagnostics: [] });
+    expect(result.entryPoints).toEqual({ setup: { line: 1, column: 1 }, draw: null });
+  });
+
+  it('reports syntax errors with line and column', () => {
+    const result = lint({ code: 'function setup() {\n  ellipse(0, 0,, 10);\n}' });
+    expect(result.valid).toBe(false);
+    expect(result.diagnostics[0]).toMatchObject({ severity: 'error', code: 'SYNTAX_ERROR', line: 2, column: 16 });
+  });
+
+  it('reports missing and invalid entry points', () => {
+    expect(codes(lint({ code: 'const x = 1;' }))).toEqual(['MISSING_ENTRY_POINT']);
+    expect(lint({ code: 'const setup = 5;' }).diagnostics[0]).toMatchObject({ code: 'INVALID_ENTRY_POINT', line: 1, column: 7 });
+  });
+
+  it('flags createCanvas and non-deterministic globals at their call sites', () => {
+    const result = lint({ code: 'function setup() {\n  createCanvas(100, 100);\n  fill(Math.random() * 255);\n}' });
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ code: 'FORBIDDEN_API', line: 2, column: 3 }),
+      expect.objectContaining({ code: 'NONDETERMINISTIC_API', line: 3, column: 8 }),
+    ]);
+  });
+
+  it('flags VAR indices outside 0-9 and writes to VAR', () => {
+    const result = lint({ code: 'function setup() {\n  fill(VAR[10]);\n  VAR[0] = 5;\n}' });
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ code: 'VAR_INDEX_OUT_OF_RANGE', line: 2, column: 8 }),
+      expect.objectContaining({ code: 'VAR_READ_ONLY', line: 3, column: 3 }),
+    ]);
+  });
+
+  it('warns about VAR values the renderer would normalize to 0', () => {
+    const result = lint({ code: 'function setup() {}', VAR: [50, 150, 'x'] });
+    expect(result.valid).toBe(true);
+    expect(result.warningCount).toBe(2);
+    expect(codes(result)).toEqual(['VAR_VALUE_OUT_OF_RANGE', 'VAR_VALUE_OUT_OF_RANGE']);
+  });
+
+  it('reports invalid VAR values as errors in strict mode', () => {
+    const result = lintSketch(
+      { protocolVersion: '1.2.0', code: 'function setup() {}', VAR: [50, 150, 'x'] },
+      { ...options, varsMode: 'strict' }
+    );
+    expect(result.valid).toBe(false);
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ severity: 'error', code: 'INVALID_VAR', message: 'VAR[1] = 150 is outside 0-100' }),
+      expect.objectContaining({ severity: 'error', code: 'INVALID_VAR', message: 'VAR[2] = "x" is not a number' }),
+    ]);
+  });
+
+  it('checks loop-mode requirements', () => {
+    const noDraw = lint({ code: 'function setup() {}', execution: { mode: 'loop' } });
+    expect(noDraw.mode).toBe('loop');
+    expect(codes(noDraw)).toEqual(['LOOP_MODE_ERROR']);
+
+    const badFormat = lint({ code: 'function draw() {}', execution: { mode: 'loop', format: 'avi' } });
+    expect(badFormat.diagnostics[0].message).toMatch(/Unsupported animation format: avi/);
+
+    const badFrame = lint({ code: 'function draw() {}', execution: { frame: 500, totalFrames: 120 } });
+    expect(badFrame.mode).toBe('frame');
+    expect(codes(badFrame)).toEqual(['LOOP_MODE_ERROR']);
+  });
+
+  it('estimates loop cost and applies the plan loop limits', () => {
+    const loop = lint({ code: 'function draw() {}', execution: { mode: 'loop', totalFrames: 240, fps: 24 } });
+    expect(loop.loopEstimate).toEqual({ totalFrames: 240, fps: 24, durationSeconds: 10, renderedFrames: 240, estimatedRenderMs: expect.any(Number) });
+    expect(lint({ code: 'function draw() {}', execution: { frame: 9, totalFrames: 240 } }).loopEstimate.renderedFrames).toBe(10);
+    expect(lint({ code: 'function setup() {}' }).loopEstimate).toBeNull();
+
+    const free = lintSketch(
+      { protocolVersion: '1.2.0', code: 'function draw() {}', execution: { mode: 'loop', totalFrames: 600 } },
+      { ...options, loopLimits: resolveLoopLimits('free') },
+    );
+    expect(codes(free)).toEqual(['LOOP_MODE_ERROR']);
+    expect(free.diagnostics[0].message).toMatch(/exceeds the free plan limits: totalFrames 600 exceeds the maximum of 300/);
+    expect(free.loopEstimate).toBeNull();
+  });
+
+  it('checks the requested output format', () => {
+    expect(codes(lint({ code: 'function setup() {}', execution: { output: 'svg' } }))).toEqual([]);
+    expect(codes(lint({ code: 'function setup() {}', execution: { output: 'eps' } }))).toEqual(['UNSUPPORTED_OUTPUT']);
+
+    const loopSvg = lint({ code: 'function draw() {}', execution: { mode: 'loop', output: 'svg' } });
+    expect(codes(loopSvg)).toEqual(['UNSUPPORTED_OUTPUT']);
+    expect(loopSvg.diagnostics[0].message).toMatch(/only available for static renders, not loop mode/);
+  });
+
+  it('checks protocol version compatibility', () => {
+    expect(codes(lint({ code: 'function setup() {}', protocolVersion: '9.9.9' }))).toEqual(['UNSUPPORTED_PROTOCOL_VERSION']);
+
+    const defaulted = lintSketch({ code: 'function setup() {}' }, options);
+    expect(defaulted.valid).toBe(true);
+    expect(defaulted.protocolVersion).toBe('1.2.0');
+    expect(defaulted.diagnostics[0]).toMatchObject({ severity: 'info', code: 'PROTOCOL_VERSION_DEFAULTED' });
+  });
+
+  it('flags API the selected protocol version does not have', () => {
+    const code = 'function setup() {\n  star(0, 0, 5, 10, 5);\n  createGraphics(10, 10);\n}';
+    const v100 = lint({ protocolVersion: '1.0.0', code });
+    expect(v100.diagnostics).toEqual([
+      expect.objectContaining({ code: 'UNAVAILABLE_API', line: 2, column: 3, message: 'star is not available in protocol 1.0.0; it was added by nexart.api.v1.1' }),
+      expect.objectContaining({ code: 'UNAVAILABLE_API', line: 3, column: 3 }),
+    ]);
+    expect(codes(lint({ protocolVersion: '1.2.0', code }))).toEqual([]);
+    expect(codes(lint({ protocolVersion: '1.2.0', code: 'function setup() { filter(GRAY); }' }))).toEqual(['UNAVAILABLE_API', 'UNAVAILABLE_API']);
+  });
+
+  it('lets a sketch declare names a later version added', () => {
+    const code = 'function star() {}\nfunction setup() { star(); }';
+    expect(codes(lint({ protocolVersion: '1.0.0', code }))).toEqual([]);
+  });
+
+  it('reports wrongly typed execution fields', () => {
+    const result = lint({ code: 'function setup() {}', execution: { totalFrames: 'abc', fps: '30', posterFrame: [1] } });
+    expect(result.valid).toBe(false);
+    expect(result.diagnostics.map(d => d.message)).toEqual([
+      'execution.totalFrames must be an integer, got "abc"',
+      'execution.fps must be a finite number, got "30"',
+      'execution.posterFrame must be a frame index or an object with frame or t, got [1]',
+    ]);
+    expect(codes(lint({ code: 'function draw() {}', execution: { mode: 'loop', totalFrames: 'abc' } }))).toEqual(['INVALID_EXECUTION']);
+    expect(codes(lint({ code: 'function setup() {}', execution: 'loop' }))).toEqual(['INVALID_EXECUTION']);
+  });
+});
+
+describe('lintSketch fonts', () => {
+  it('flags textFont() calls with fonts outside the protocol set', () => {
+    const result = lint({ protocolVersion: '1.3.0', code: 'function setup() {\n  textFont("Arial");\n  textFont("monospace");\n}' });
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({ code: 'UNAPPROVED_FONT', line: 2, column: 3 }),
+    ]);
+  });
+
+  it('leaves textFont() alone for versions without a pinned font set', () => {
+    expect(codes(lint({ code: 'function setup() { textFont("Arial"); }' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeSketch, loadSketch } from '../src/sketch-loader.js';
+
+function makeRuntime() {
+  const calls = [];
+  return {
+    calls,
+    p: {
+      frameCount: 0,
+      VAR: [10, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      background: (v) => calls.push(['background', v]),
+      ellipse: (...args) => calls.push(['ellipse', ...args]),
+    }
+  };
+}
+
+describe('analyzeSketch', () => {
+  it('finds function declarations and arrow-function entry points', () => {
+    const { entryPoints } = analyzeSketch(`
+      function setup() { background(0); }
+      const draw = () => { ellipse(1, 2, 3); };
+    `);
+    expect(entryPoints.setup).toEqual({ line: 2, column: 7 });
+    expect(entryPoints.draw).toEqual({ line: 3, column: 13 });
+  });
+
+  it('accepts trailing comments and code after the last function', () => {
+    const { entryPoints } = analyzeSketch(`function setup() { background(0); }\nlet n = 3; // trailing`);
+    expect(entryPoints.setup).not.toBeNull();
+    expect(entryPoints.draw).toBeNull();
+  });
+
+  it('rejects syntax errors with line and column', () => {
+    try {
+      analyzeSketch(`function setup() {\n  background(0;\n}`);
+      throw new Error('expected failure');
+    } catch (error) {
+      expect(error.message).toMatch(/^INVALID_SKETCH: Syntax error/);
+      expect(error.details).toEqual({ line: 2, column: 15 });
+    }
+  });
+
+  it('rejects sketches without setup() or draw()', () => {
+    expect(() => analyzeSketch(`background(0);`)).toThrow(/^INVALID_SKETCH: Sketch must declare a setup\(\) or draw\(\) function/);
+  });
+
+  it('rejects entry points that are not functions', () => {
+    try {
+      analyzeSketch(`let setup = 5;`);
+      throw new Error('expected failure');
+    } catch (error) {
+      expect(error.message).toContain('setup must be declared as a function');
+      expect(error.details).toEqual({ line: 1, column: 5 });
+    }
+  });
+
+  it('rejects duplicate entry points', () => {
+    expect(() => analyzeSketch(`function draw() {}\nfunction draw() {}`)).toThrow(/declared more than once/);
+  });
+});
+
+describe('loadSketch', () => {
+  it('shares top-level state and helpers between setup() and draw()', () => {
+    const { p, calls } = makeRuntime();
+    const { setup, draw } = loadSketch(`
+      let size = VAR[0] * 2;
+      const grow = (n) => n + 1;
+      function setup() { background(size); }
+      function draw() { size = grow(size); ellipse(frameCount, 0, size); }
+    `, p);
+
+    setup();
+    p.frameCount = 1;
+    draw();
+    p.frameCount = 2;
+    draw();
+
+    expect(calls).toEqual([
+      ['background', 20],
+      ['ellipse', 1, 0, 21],
+      ['ellipse', 2, 0, 22],
+    ]);
+  });
+
+  it('returns null for entry points the sketch does not declare', () => {
+    const { p } = makeRuntime();
+    const { setup, draw } = loadSketch(`function setup() {}`, p);
+    expect(typeof setup).toBe('function');
+    expect(draw).toBeNull();
+  });
+
+  it('hides host globals from sketch code', () => {
+    const { p, calls } = makeRuntime();
+    const { setup } = loadSketch(`
+      function setup() {
+        background([typeof process, typeof require, typeof Function, typeof eval].join(','));
+      }
+    `, p);
+
+    setup();
+
+    expect(calls).toEqual([['background', 'undefined,undefined,undefined,undefined']]);
+  });
+
+  it('cannot read the signing key through process.env', () => {
+    const { p } = makeRuntime();
+    const { setup } = loadSketch(`function setup() { background(process.env.NEXART_SIGNING_KEY); }`, p);
+    expect(() => setup()).toThrow(TypeError);
+  });
+});
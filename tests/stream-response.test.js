@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendJsonWithBase64File } from '../src/stream-response.js';
+
+function makeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.headers = {};
+  res.destroyed = false;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.write = (chunk) => { res.chunks.push(chunk); return true; };
+  res.end = (chunk) => { if (chunk) res.chunks.push(chunk); res.ended = true; };
+  return res;
+}
+
+describe('sendJsonWithBase64File', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('streams a file as a base64 field identical to whole-file encoding', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-response-'));
+    const filePath = path.join(dir, 'out.bin');
+    const contents = crypto.randomBytes(3 * 64 * 1024 * 2 + 1);
+    fs.writeFileSync(filePath, contents);
+
+    const res = makeResponse();
+    await sendJsonWithBase64File(res, { type: 'animation', frames: 2 }, 'animationBase64', filePath);
+
+    expect(res.ended).toBe(true);
+    expect(res.statusCode).toBe(200);
+    const body = JSON.parse(res.chunks.join(''));
+    expect(body.type).toBe('animation');
+    expect(body.frames).toBe(2);
+    expect(body.animationBase64).toBe(contents.toString('base64'));
+  });
+
+  it('handles an empty body object', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-response-'));
+    const filePath = path.join(dir, 'out.bin');
+    fs.writeFileSync(filePath, Buffer.from('ab'));
+
+    const res = makeResponse();
+    await sendJsonWithBase64File(res, {}, 'data', filePath);
+
+    expect(JSON.parse(res.chunks.join(''))).toEqual({ data: Buffer.from('ab').toString('base64') });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { inspectVars, zeroFillVars, assertStrictVars, resolveVarsMode, formatVarsNormalizedHeader } from '../src/vars.js';
+
+describe('inspectVars', () => {
+  it('accepts valid and missing VARs', () => {
+    expect(inspectVars([0, 50.5, 100])).toEqual([]);
+    expect(inspectVars([])).toEqual([]);
+    expect(inspectVars(undefined)).toEqual([]);
+  });
+
+  it('lists each unusable entry with its reason', () => {
+    const issues = inspectVars([150, '5', -1, null, 10, 0, 0, 0, 0, 0, 7]);
+    expect(issues.map(({ index, reason }) => [index, reason])).toEqual([
+      [0, 'out_of_range'],
+      [1, 'not_a_number'],
+      [2, 'out_of_range'],
+      [3, 'not_a_number'],
+      [10, 'extra_entry'],
+    ]);
+    expect(issues[1].message).toBe('VAR[1] = "5" is not a number');
+    expect(issues[4].message).toBe('VAR[10] = 7 is past the last entry VAR[9]');
+  });
+
+  it('rejects a VAR that is not an array as a whole', () => {
+    expect(inspectVars('5')).toEqual([
+      { index: null, value: '5', reason: 'not_an_array', message: 'VAR must be an array of up to 10 numbers' },
+    ]);
+  });
+
+  it('flags non-finite numbers', () => {
+    expect(inspectVars([Infinity])[0].reason).toBe('not_finite');
+  });
+});
+
+describe('zeroFillVars', () => {
+  it('normalizes to 10 entries and reports each change', () => {
+    const { normalizedVars, changes } = zeroFillVars([150, '5', 20, 0, 0, 0, 0, 0, 0, 0, 9]);
+    expect(normalizedVars).toEqual([0, 0, 20, 0, 0, 0, 0, 0, 0, 0]);
+    expect(changes.map(({ index, action }) => [index, action])).toEqual([[0, 'zeroed'], [1, 'zeroed'], [10, 'dropped']]);
+  });
+
+  it('defaults a non-array VAR to zeros', () => {
+    const { normalizedVars, changes } = zeroFillVars({ 0: 5 });
+    expect(normalizedVars).toEqual(new Array(10).fill(0));
+    expect(changes).toEqual([expect.objectContaining({ index: null, reason: 'not_an_array', action: 'defaulted' })]);
+  });
+
+  it('does not report padding a short VAR', () => {
+    expect(zeroFillVars([1, 2]).changes).toEqual([]);
+  });
+});
+
+describe('assertStrictVars', () => {
+  it('passes valid VARs', () => {
+    expect(() => assertStrictVars([1, 2, 3])).not.toThrow();
+  });
+
+  it('throws PROTOCOL_VIOLATION listing every bad index', () => {
+    let error;
+    try {
+      assertStrictVars([150, '5']);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toBe('PROTOCOL_VIOLATION: Strict VAR validation failed: VAR[0] = 150 is outside 0-100; VAR[1] = "5" is not a number');
+    expect(error.details.invalidVars.map(({ index, reason }) => [index, reason])).toEqual([[0, 'out_of_range'], [1, 'not_a_number']]);
+  });
+});
+
+describe('resolveVarsMode', () => {
+  it('is strict when either the request or the key asks for it', () => {
+    expect(resolveVarsMode(undefined, undefined)).toBe('lenient');
+    expect(resolveVarsMode('strict', 'lenient')).toBe('strict');
+    expect(resolveVarsMode('lenient', 'strict')).toBe('strict');
+  });
+});
+
+describe('formatVarsNormalizedHeader', () => {
+  it('lists index=reason pairs', () => {
+    const { changes } = zeroFillVars([150, '5']);
+    expect(formatVarsNormalizedHeader(changes)).toBe('0=out_of_range, 1=not_a_number');
+    expect(formatVarsNormalizedHeader(zeroFillVars('x').changes)).toBe('VAR=not_an_array');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import crypto from 'crypto';
+
+const BASE_URL = 'http://localhost:5000';
+
+const CODE = `function setup() { background(240); noFill(); stroke(20); strokeWeight(4); ellipse(width/2, height/2, 800); }`;
+
+async function render(body) {
+  return fetch(`${BASE_URL}/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: CODE, seed: 'test-seed', vars: [50], ...body })
+  });
+}
+
+describe('Vector output (integration)', () => {
+  for (const [format, mime, magic] of [['svg', 'image/svg+xml', '<?xml'], ['pdf', 'application/pdf', '%PDF']]) {
+    it(`should return a non-canonical ${format} alongside the canonical PNG`, async () => {
+      const response = await render({ execution: { output: format } });
+      expect(response.status).toBe(200);
+
+      const data = await response.json();
+      expect(data.type).toBe('static');
+      expect(data.imageHash).toBeDefined();
+      expect(data.vector.format).toBe(format);
+      expect(data.vector.mime).toBe(mime);
+      expect(data.vector.canonical).toBe(false);
+
+      const bytes = Buffer.from(data.vector.base64, 'base64');
+      expect(bytes.toString('latin1', 0, magic.length)).toBe(magic);
+      expect(data.vector.hash).toBe(crypto.createHash('sha256').update(bytes).digest('hex'));
+    }, 30000);
+  }
+
+  it('should not change the canonical PNG hash', async () => {
+    const png = await (await render({})).json();
+    const svg = await (await render({ execution: { output: 'svg' } })).json();
+    expect(svg.imageHash).toBe(png.imageHash);
+    expect(png.vector).toBeUndefined();
+  }, 30000);
+
+  it('should reject vector output for loop renders', async () => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function draw() { background(t * 255); }`,
+        seed: 'test-seed',
+        vars: [50],
+        execution: { mode: 'loop', totalFrames: 2, output: 'svg' }
+      })
+    });
+    expect(response.status).toBe(400);
+
+    const data = await response.json();
+    expect(data.error).toBe('PROTOCOL_VIOLATION');
+    expect(data.message).toContain('only available for static renders');
+  });
+});
@@ -19,8 +19,24 @@ describe('GET /version', () => {
     expect(data.protocolVersion).toBeTruthy();
     expect(data.serviceBuild).toBeTruthy();
     expect(data.nodeVersion).toBeTruthy();
+    expect(Object.keys(data.pngProfiles)).toEqual(['nexart.png.legacy', 'nexart.png.v1']);
+    expect(data.fontSet.id).toBe('nexart.fonts.v1');
+    expect(data.fontSet.hash).toMatch(/^[0-9a-f]{64}$/);
     expect(data.timestamp).toBeTruthy();
   });
+
+  it('lists a fingerprinted runtime for every supported protocol version', async () => {
+    const response = await fetch(`${BASE_URL}/version`);
+    const data = await response.json();
+
+    expect(data.protocolRuntimes.map(r => r.protocolVersion)).toEqual(['1.0.0', '1.1.0', '1.2.0', '1.3.0']);
+    for (const runtime of data.protocolRuntimes) {
+      expect(runtime.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+      expect(runtime.seedDerivation).toBeTruthy();
+      expect(runtime.varNormalization).toBeTruthy();
+      expect(runtime.canvas).toMatchObject({ width: 1950, height: 2400 });
+    }
+  });
 });
 
 describe('GET /health', () => {
@@ -39,3 +55,75 @@ describe('GET /health', () => {
     expect(data.timestamp).toBeTruthy();
   });
 });
+
+// Literal PNG hashes depend on the cairo build, so these pin what 1.0.0-1.2.0
+// sketches rendered before 1.3.0 by comparing legacy-API sketches with
+// sketches that use only drawing unchanged since then.
+describe('Pinned protocol runtimes', () => {
+  const render = async (protocolVersion, draw) => {
+    const response = await fetch(`${BASE_URL}/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: `function setup() {
+          background(240);
+          fill(20);
+          ${draw}
+        }`,
+        seed: 'runtime-pinning',
+        vars: [50],
+        protocolVersion,
+      }),
+    });
+    expect(response.status).toBe(200);
+    return response.json();
+  };
+
+  const LEGACY_SKETCH = `text("nexart", 100, 100);
+    push();
+    rectMode(CENTER);
+    strokeCap("square");
+    pop();
+    rect(200, 200, 400, 300);`;
+
+  it('renders a sketch using only 1.0.0 API identically under 1.0.0 and 1.2.0', async () => {
+    const v100 = await render('1.0.0', LEGACY_SKETCH);
+    const v120 = await render('1.2.0', LEGACY_SKETCH);
+
+    expect(v100.metadata.protocol_version).toBe('1.0.0');
+    expect(v120.metadata.protocol_version).toBe('1.2.0');
+    expect(v100.metadata.png_profile).toBe('nexart.png.legacy');
+    expect(v100.imageHash).toBe(v120.imageHash);
+    expect(v100.pixelHash).toBe(v120.pixelHash);
+  });
+
+  it.each(['1.0.0', '1.2.0'])('draws text() without textSize() at the 10px sans-serif default under %s', async (version) => {
+    const legacy = await render(version, 'text("nexart", 100, 100);');
+    const explicit = await render(version, 'textSize(10); text("nexart", 100, 100);');
+    expect(legacy.pixelHash).toBe(explicit.pixelHash);
+  });
+
+  it.each(['1.0.0', '1.2.0'])('keeps rectMode() set between push() and pop() under %s', async (version) => {
+    const legacy = await render(version, 'push(); rectMode(CENTER); pop(); rect(200, 200, 400, 300);');
+    const unwrapped = await render(version, 'rectMode(CENTER); rect(200, 200, 400, 300);');
+    expect(legacy.pixelHash).toBe(unwrapped.pixelHash);
+  });
+
+  it('restores rectMode() on pop() under 1.3.0', async () => {
+    const wrapped = await render('1.3.0', 'push(); rectMode(CENTER); pop(); rect(200, 200, 400, 300);');
+    const plain = await render('1.3.0', 'rect(200, 200, 400, 300);');
+    expect(wrapped.pixelHash).toBe(plain.pixelHash);
+  });
+
+  it('discards set() on updatePixels() after loadPixels() under 1.2.0', async () => {
+    const legacy = await render('1.2.0', 'loadPixels(); set(10, 10, [255, 0, 0, 255]); updatePixels();');
+    const untouched = await render('1.2.0', '');
+    expect(legacy.pixelHash).toBe(untouched.pixelHash);
+  });
+
+  it('applies set() on updatePixels() after loadPixels() under 1.3.0', async () => {
+    const written = await render('1.3.0', 'loadPixels(); set(10, 10, [255, 0, 0, 255]); updatePixels();');
+    const untouched = await render('1.3.0', '');
+    expect(written.pixelHash).not.toBe(untouched.pixelHash);
+  });
+});